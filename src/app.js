@@ -15,6 +15,7 @@ const userRoutes = require('./routes/user.routes');
 const mealRoutes = require('./routes/meal.routes');
 const analyticsRoutes = require('./routes/analytics.routes');
 const notificationRoutes = require('./routes/notification.routes');
+const adminRoutes = require('./routes/admin.routes');
 
 // Import error handlers
 const { notFoundHandler, errorHandler } = require('./middlewares/error.middleware');
@@ -22,11 +23,15 @@ const { notFoundHandler, errorHandler } = require('./middlewares/error.middlewar
 // Import configs
 const { initializeGemini } = require('./config/gemini');
 const { initializeFirebase } = require('./config/firebase');
+const { initializeMailer } = require('./config/mailer');
 const { initializeScheduler } = require('./services/scheduler.service');
 
 // Create Express app
 const app = express();
 
+// Trust the first proxy hop (Render) so req.ip reflects the real client
+app.set('trust proxy', 1);
+
 // ============================================
 // Security Middleware
 // ============================================
@@ -40,7 +45,7 @@ app.use(helmet({
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
   credentials: true,
 }));
 
@@ -117,6 +122,7 @@ app.use('/api/meals', mealRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/notification', notificationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // ============================================
 // Root Route
@@ -151,6 +157,9 @@ initializeGemini();
 // Initialize Firebase Admin
 initializeFirebase();
 
+// Initialize Mailer
+initializeMailer();
+
 // Initialize Scheduler
 initializeScheduler();
 
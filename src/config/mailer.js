@@ -0,0 +1,121 @@
+/**
+ * Mailer Configuration
+ * Selects the transport used for outgoing email
+ *
+ * MAIL_TRANSPORT:
+ * - smtp: deliver through the SMTP_* server (production)
+ * - file: write each message as JSON into MAIL_OUTBOX_DIR (development, tests)
+ * - console: print each message to the log (default when SMTP is not configured, except in
+ *   production, which has to ask for it explicitly); the body, with its links, is only printed
+ *   in development
+ */
+
+const nodemailer = require('nodemailer');
+const path = require('path');
+const fs = require('fs');
+
+let transport = null;
+
+/**
+ * Transport that writes messages to disk instead of sending them
+ * @param {string} outboxDir - Directory to write messages into
+ * @returns {Object} - Object exposing sendMail(message)
+ */
+const createFileTransport = (outboxDir) => ({
+  name: 'file',
+  sendMail: async (message) => {
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    const filePath = path.join(outboxDir, `${messageId}.json`);
+    await fs.promises.writeFile(
+      filePath,
+      JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+    );
+
+    return { messageId, filePath };
+  },
+});
+
+/**
+ * Transport that only logs messages
+ * @returns {Object} - Object exposing sendMail(message)
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  sendMail: async (message) => {
+    // Bodies carry live reset and verification links
+    const body = process.env.NODE_ENV === 'development' ? `\n${message.text}` : '';
+    console.log(`[MOCK MAIL] To: ${message.to} | Subject: ${message.subject}${body}`);
+    return { messageId: `console-${Date.now()}` };
+  },
+});
+
+/**
+ * Initialize the mail transport from environment variables
+ * @returns {Object} - Transport exposing sendMail(message)
+ * @throws {Error} - In production when no transport is configured
+ */
+const initializeMailer = () => {
+  const isConfigured = Boolean(process.env.MAIL_TRANSPORT || process.env.SMTP_HOST);
+  if (process.env.NODE_ENV === 'production' && !isConfigured) {
+    throw new Error('SMTP_HOST is required in production (or set MAIL_TRANSPORT explicitly)');
+  }
+
+  const transportName =
+    process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+  switch (transportName) {
+    case 'smtp':
+      transport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+          : undefined,
+      });
+      transport.name = 'smtp';
+      console.log('✅ Mailer initialized with SMTP transport');
+      break;
+    case 'file':
+      transport = createFileTransport(
+        process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox')
+      );
+      console.log('📁 Mailer initialized with file transport');
+      break;
+    default:
+      if (transportName !== 'console') {
+        console.warn(`⚠️ Unknown MAIL_TRANSPORT "${transportName}". Falling back to console.`);
+      }
+      transport = createConsoleTransport();
+      console.warn('⚠️ SMTP not configured. Emails will be logged to the console.');
+  }
+
+  return transport;
+};
+
+/**
+ * Get the active mail transport
+ * @returns {Object}
+ */
+const getTransport = () => {
+  if (!transport) {
+    initializeMailer();
+  }
+  return transport;
+};
+
+/**
+ * Get the sender address for outgoing mail
+ * @returns {string}
+ */
+const getDefaultSender = () => {
+  return process.env.MAIL_FROM || 'Calorie Tracker <no-reply@calorietracker.app>';
+};
+
+module.exports = {
+  initializeMailer,
+  getTransport,
+  getDefaultSender,
+};
@@ -0,0 +1,55 @@
+/**
+ * OAuth Provider Configuration
+ * Issuers, audiences and key sets used to verify social login ID tokens
+ *
+ * *_JWKS_URI accepts an https URL or a local file path (file:// or absolute),
+ * so a test environment can verify tokens signed with its own key set.
+ */
+
+/**
+ * Split a comma-separated env value into a list
+ * @param {string} value - Raw env value
+ * @returns {Array<string>}
+ */
+const parseList = (value) =>
+  (value || '').split(',').map((item) => item.trim()).filter((item) => item.length > 0);
+
+/**
+ * Get the configuration for a provider
+ * Read on every call so environment changes (e.g. in tests) take effect
+ * @param {string} provider - 'google' or 'apple'
+ * @returns {Object|null} - { issuers, jwksUri, clientIds } or null if unknown
+ */
+const getProviderConfig = (provider) => {
+  switch (provider) {
+    case 'google':
+      return {
+        issuers: parseList(process.env.GOOGLE_ISSUERS || 'https://accounts.google.com,accounts.google.com'),
+        jwksUri: process.env.GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs',
+        clientIds: parseList(process.env.GOOGLE_CLIENT_IDS),
+      };
+    case 'apple':
+      return {
+        issuers: parseList(process.env.APPLE_ISSUERS || 'https://appleid.apple.com'),
+        jwksUri: process.env.APPLE_JWKS_URI || 'https://appleid.apple.com/auth/keys',
+        clientIds: parseList(process.env.APPLE_CLIENT_IDS),
+      };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Check if a provider can be used (client IDs are required to check the audience)
+ * @param {string} provider - Provider name
+ * @returns {boolean}
+ */
+const isProviderConfigured = (provider) => {
+  const config = getProviderConfig(provider);
+  return !!config && config.clientIds.length > 0;
+};
+
+module.exports = {
+  getProviderConfig,
+  isProviderConfigured,
+};
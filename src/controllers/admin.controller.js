@@ -0,0 +1,244 @@
+/**
+ * Admin Controller
+ * Handles user management, usage reporting and broadcasts for admins
+ */
+
+const adminService = require('../services/admin.service');
+const lockoutService = require('../services/lockout.service');
+const usageService = require('../services/usage.service');
+const notificationService = require('../services/notification.service');
+const {
+  successResponse,
+  errorResponse,
+  paginatedResponse,
+  HTTP_STATUS,
+} = require('../utils/responses');
+const { asyncHandler } = require('../middlewares/error.middleware');
+const { ERROR_CODES } = require('../utils/constants');
+
+/**
+ * Respond with 404 for an unknown user
+ * @param {Object} res - Express response object
+ */
+const sendUserNotFound = (res) => {
+  return errorResponse(res, {
+    statusCode: HTTP_STATUS.NOT_FOUND.code,
+    message: 'User not found',
+    code: ERROR_CODES.NOT_FOUND,
+  });
+};
+
+/**
+ * Stop admins from disabling or demoting themselves (and locking everyone out)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {boolean} - True if a response was sent
+ */
+const rejectSelfChange = (req, res) => {
+  if (req.params.id !== req.user.id) {
+    return false;
+  }
+
+  errorResponse(res, {
+    statusCode: HTTP_STATUS.BAD_REQUEST.code,
+    message: 'You cannot change your own role or disable your own account',
+    code: ERROR_CODES.VALIDATION_ERROR,
+  });
+  return true;
+};
+
+/**
+ * List and search users
+ * GET /api/admin/users
+ */
+const getUsers = asyncHandler(async (req, res) => {
+  const { page, limit, search, role, disabled } = req.query;
+
+  const result = await adminService.listUsers({ page, limit, search, role, disabled });
+
+  return paginatedResponse(res, {
+    data: result.users,
+    page: result.page,
+    limit: result.limit,
+    total: result.total,
+    message: 'Users retrieved successfully',
+  });
+});
+
+/**
+ * Get a single user
+ * GET /api/admin/users/:id
+ */
+const getUser = asyncHandler(async (req, res) => {
+  const user = await adminService.getUser(req.params.id);
+
+  if (!user) {
+    return sendUserNotFound(res);
+  }
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'User retrieved successfully',
+    data: { user },
+  });
+});
+
+/**
+ * Change a user's role
+ * PATCH /api/admin/users/:id/role
+ */
+const updateUserRole = asyncHandler(async (req, res) => {
+  if (rejectSelfChange(req, res)) {
+    return;
+  }
+
+  const existingUser = await adminService.getUser(req.params.id);
+
+  if (!existingUser) {
+    return sendUserNotFound(res);
+  }
+
+  const user = await adminService.setUserRole(req.params.id, req.body.role);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Role updated successfully',
+    data: { user },
+  });
+});
+
+/**
+ * Disable a user's account and end all of its sessions
+ * POST /api/admin/users/:id/disable
+ */
+const disableUser = asyncHandler(async (req, res) => {
+  if (rejectSelfChange(req, res)) {
+    return;
+  }
+
+  const existingUser = await adminService.getUser(req.params.id);
+
+  if (!existingUser) {
+    return sendUserNotFound(res);
+  }
+
+  const user = await adminService.disableUser(req.params.id);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Account disabled successfully',
+    data: { user },
+  });
+});
+
+/**
+ * Re-enable a disabled account
+ * POST /api/admin/users/:id/enable
+ */
+const enableUser = asyncHandler(async (req, res) => {
+  const existingUser = await adminService.getUser(req.params.id);
+
+  if (!existingUser) {
+    return sendUserNotFound(res);
+  }
+
+  const user = await adminService.enableUser(req.params.id);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Account enabled successfully',
+    data: { user },
+  });
+});
+
+/**
+ * Get Gemini food analysis usage for the last N days
+ * GET /api/admin/usage/gemini
+ */
+const getGeminiUsage = asyncHandler(async (req, res) => {
+  const usage = await usageService.getGeminiUsageStats(req.query.days);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Gemini usage retrieved successfully',
+    data: { days: req.query.days, ...usage },
+  });
+});
+
+/**
+ * Send a notification to all active users (optionally one role)
+ * POST /api/admin/notifications/broadcast
+ */
+const broadcastNotification = asyncHandler(async (req, res) => {
+  const recipients = await notificationService.broadcastNotification(req.body);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.CREATED.code,
+    message: `Broadcast sent to ${recipients} user(s)`,
+    data: { recipients },
+  });
+});
+
+/**
+ * List accounts that are currently locked out or delayed
+ * GET /api/admin/lockouts
+ */
+const getLockedAccounts = asyncHandler(async (req, res) => {
+  const users = await lockoutService.listLockedAccounts();
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Locked accounts retrieved successfully',
+    data: { users },
+  });
+});
+
+/**
+ * Get the login lockout state of a user
+ * GET /api/admin/users/:id/lockout
+ */
+const getUserLockout = asyncHandler(async (req, res) => {
+  const lockout = await lockoutService.getLockoutState(req.params.id);
+
+  if (!lockout) {
+    return sendUserNotFound(res);
+  }
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Lockout state retrieved successfully',
+    data: { lockout },
+  });
+});
+
+/**
+ * Lift a user's login lockout and reset failure counters
+ * DELETE /api/admin/users/:id/lockout
+ */
+const unlockUser = asyncHandler(async (req, res) => {
+  const lockout = await lockoutService.getLockoutState(req.params.id);
+
+  if (!lockout) {
+    return sendUserNotFound(res);
+  }
+
+  await lockoutService.unlock(req.params.id);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Account unlocked successfully',
+  });
+});
+
+module.exports = {
+  getUsers,
+  getUser,
+  updateUserRole,
+  disableUser,
+  enableUser,
+  getGeminiUsage,
+  broadcastNotification,
+  getLockedAccounts,
+  getUserLockout,
+  unlockUser,
+};
@@ -4,6 +4,7 @@
  */
 
 const mealService = require('../services/meal.service');
+const { getZonedParts } = require('../utils/constants');
 const { successResponse, HTTP_STATUS } = require('../utils/responses');
 const { asyncHandler } = require('../middlewares/error.middleware');
 
@@ -15,13 +16,13 @@ const getDailyAnalytics = asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const { date } = req.query;
 
-  // Parse date if provided, otherwise use today
-  const targetDate = date ? new Date(date) : new Date();
+  // A YYYY-MM-DD date is read as a day in the user's time zone; defaults to today
+  const targetDate = date || new Date();
 
-  const analytics = await mealService.getDailyAnalytics(userId, targetDate);
+  const analytics = await mealService.getDailyAnalytics(userId, targetDate, req.user.timezone);
 
-  // Get user's calorie goal for context
-  const calorieGoal = req.user.dailyCalorieGoal || 2000;
+  // Judge the day against the goal that was in force on it
+  const { calorieGoal } = analytics;
   const calorieStatus =
     analytics.consumed < calorieGoal * 0.9
       ? 'under'
@@ -47,10 +48,10 @@ const getDailyAnalytics = asyncHandler(async (req, res) => {
 const getWeeklyAnalytics = asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
-  const analytics = await mealService.getWeeklyAnalytics(userId);
+  const analytics = await mealService.getWeeklyAnalytics(userId, req.user.timezone);
 
-  // Calculate weekly stats
-  const weeklyGoal = (req.user.dailyCalorieGoal || 2000) * 7;
+  // Calculate weekly stats against the goals in force on each day
+  const weeklyGoal = analytics.weeklyCalorieGoal;
   const weeklyProgress = Math.round((analytics.totals.totalCalories / weeklyGoal) * 100);
 
   // Calculate macro percentages
@@ -88,14 +89,10 @@ const getWeeklyAnalytics = asyncHandler(async (req, res) => {
 const getMonthlyAnalytics = asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
-  const analytics = await mealService.getMonthlyAnalytics(userId);
+  const analytics = await mealService.getMonthlyAnalytics(userId, req.user.timezone);
 
-  // Calculate consistency score (percentage of days tracked)
-  const daysInMonth = new Date(
-    analytics.endDate.getFullYear(),
-    analytics.endDate.getMonth() + 1,
-    0
-  ).getDate();
+  // Calculate consistency score (percentage of days tracked); the month ends on its last day
+  const daysInMonth = getZonedParts(analytics.endDate, req.user.timezone).day;
   const consistencyScore = Math.round((analytics.daysTracked / daysInMonth) * 100);
 
   // Calculate macro averages
@@ -134,28 +131,28 @@ const getProgressOverview = asyncHandler(async (req, res) => {
 
   // Get all analytics
   const [daily, weekly, monthly] = await Promise.all([
-    mealService.getDailyAnalytics(userId),
-    mealService.getWeeklyAnalytics(userId),
-    mealService.getMonthlyAnalytics(userId),
+    mealService.getDailyAnalytics(userId, new Date(), req.user.timezone),
+    mealService.getWeeklyAnalytics(userId, req.user.timezone),
+    mealService.getMonthlyAnalytics(userId, req.user.timezone),
   ]);
 
-  const calorieGoal = req.user.dailyCalorieGoal || 2000;
-
   return successResponse(res, {
     statusCode: HTTP_STATUS.OK.code,
     message: 'Progress overview retrieved successfully',
     data: {
       today: {
         consumed: daily.consumed,
-        goal: calorieGoal,
+        goal: daily.calorieGoal,
         remaining: daily.remaining,
         percentConsumed: daily.percentConsumed,
         mealsCount: daily.mealsCount,
+        macroTargets: daily.macroTargets,
       },
       thisWeek: {
         averageCalories: weekly.averageCalories,
         totalMeals: weekly.totals.mealsCount,
         daysTracked: weekly.daysTracked,
+        macroTargets: weekly.macroTargets,
       },
       thisMonth: {
         averageCalories: monthly.averageCalories,
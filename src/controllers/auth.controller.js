@@ -1,14 +1,125 @@
 /**
  * Authentication Controller
- * Handles user registration and login
+ * Handles user registration, login and session lifecycle
  */
 
 const { prisma } = require('../config/database');
-const { hashPassword, comparePassword, generateToken } = require('../services/auth.service');
+const {
+  hashPassword,
+  comparePassword,
+  verifyChallengeToken,
+} = require('../services/auth.service');
+const sessionService = require('../services/session.service');
+const accountService = require('../services/account.service');
+const oauthService = require('../services/oauth.service');
+const totpService = require('../services/totp.service');
+const lockoutService = require('../services/lockout.service');
+const privacyService = require('../services/privacy.service');
+const { getProfileAge } = require('../services/profile.service');
+const { isProviderConfigured } = require('../config/oauth');
 const { successResponse, errorResponse, HTTP_STATUS } = require('../utils/responses');
 const { ERROR_CODES } = require('../utils/constants');
+const { toUserUnits } = require('../utils/units');
 const { asyncHandler } = require('../middlewares/error.middleware');
 
+/**
+ * Collect client metadata stored alongside a session
+ * @param {Object} req - Express request object
+ * @returns {Object} - { userAgent, ipAddress }
+ */
+const getRequestMeta = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ipAddress: req.ip || null,
+});
+
+/**
+ * Pick the user fields returned by login endpoints (excludes password)
+ * Body measurements are returned in the user's preferred units
+ * @param {Object} user - Full user record
+ * @returns {Object} - Public user data
+ */
+const toUserData = (user) => toUserUnits({
+  id: user.id,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  role: user.role,
+  twoFactorEnabled: user.twoFactorEnabled,
+  name: user.name,
+  isOnboarded: user.isOnboarded,
+  dateOfBirth: user.dateOfBirth,
+  dateOfBirthEstimated: user.dateOfBirthEstimated,
+  age: getProfileAge(user),
+  weight: user.weight,
+  height: user.height,
+  gender: user.gender,
+  metabolicSex: user.metabolicSex,
+  activityLevel: user.activityLevel,
+  bmi: user.bmi,
+  dailyCalorieGoal: user.dailyCalorieGoal,
+  unitSystem: user.unitSystem,
+}, user.unitSystem);
+
+/**
+ * Answer a successful first factor with a 2FA challenge instead of tokens
+ * @param {Object} res - Express response object
+ * @param {Object} user - User who passed the first factor
+ */
+const sendTwoFactorChallenge = async (res, user) => {
+  const challengeToken = await totpService.createLoginChallenge(user.id);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Two-factor authentication required',
+    data: {
+      twoFactorRequired: true,
+      challengeToken,
+    },
+  });
+};
+
+/**
+ * Refuse a 2FA challenge that is invalid, expired, replaced or already used
+ * @param {Object} res - Express response object
+ */
+const sendInvalidChallenge = (res) => {
+  return errorResponse(res, {
+    statusCode: HTTP_STATUS.UNAUTHORIZED.code,
+    message: 'Login challenge is invalid or has expired. Please login again.',
+    code: ERROR_CODES.AUTHENTICATION_ERROR,
+  });
+};
+
+/**
+ * Refuse a login to an account disabled by an admin
+ * @param {Object} res - Express response object
+ */
+const sendAccountDisabled = (res) => {
+  return errorResponse(res, {
+    statusCode: HTTP_STATUS.FORBIDDEN.code,
+    message: 'This account has been disabled. Please contact support.',
+    code: ERROR_CODES.ACCOUNT_DISABLED,
+  });
+};
+
+/**
+ * Refuse a login attempt while the account is delayed or locked out
+ * @param {Object} res - Express response object
+ * @param {number} retryAfterSeconds - Seconds until the next attempt is allowed
+ */
+const sendLoginLocked = (res, retryAfterSeconds) => {
+  res.set('Retry-After', String(retryAfterSeconds));
+
+  const waitFor = retryAfterSeconds > 60
+    ? `${Math.ceil(retryAfterSeconds / 60)} minutes`
+    : `${retryAfterSeconds} seconds`;
+
+  return errorResponse(res, {
+    statusCode: HTTP_STATUS.TOO_MANY_REQUESTS.code,
+    message: `Too many failed login attempts. Please try again in ${waitFor}.`,
+    code: ERROR_CODES.ACCOUNT_LOCKED,
+  });
+};
+
 /**
  * Register a new user
  * POST /api/auth/register
@@ -42,17 +153,21 @@ const register = asyncHandler(async (req, res) => {
     select: {
       id: true,
       email: true,
+      emailVerified: true,
+      role: true,
       name: true,
       isOnboarded: true,
       createdAt: true,
     },
   });
 
-  // Generate JWT token
-  const token = generateToken({
-    userId: user.id,
-    email: user.email,
-  });
+  // Send the verification link without failing registration if mail is down
+  accountService
+    .sendEmailVerification(user)
+    .catch((err) => console.error('Failed to send verification email:', err));
+
+  // Start a session and issue access/refresh tokens
+  const { token, refreshToken } = await sessionService.createSession(user, getRequestMeta(req));
 
   return successResponse(res, {
     statusCode: HTTP_STATUS.CREATED.code,
@@ -60,6 +175,7 @@ const register = asyncHandler(async (req, res) => {
     data: {
       user,
       token,
+      refreshToken,
     },
   });
 });
@@ -84,10 +200,23 @@ const login = asyncHandler(async (req, res) => {
     });
   }
 
+  // Refuse attempts while the account is delayed or locked out
+  const retryAfterSeconds = lockoutService.getRetryAfterSeconds(user);
+
+  if (retryAfterSeconds > 0) {
+    return sendLoginLocked(res, retryAfterSeconds);
+  }
+
   // Verify password
   const isValidPassword = await comparePassword(password, user.password);
 
   if (!isValidPassword) {
+    const { locked, retryAfterSeconds: lockedFor } = await lockoutService.recordFailedLogin(user);
+
+    if (locked) {
+      return sendLoginLocked(res, lockedFor);
+    }
+
     return errorResponse(res, {
       statusCode: HTTP_STATUS.UNAUTHORIZED.code,
       message: 'Invalid email or password',
@@ -95,51 +224,631 @@ const login = asyncHandler(async (req, res) => {
     });
   }
 
-  // Generate JWT token
-  const token = generateToken({
-    userId: user.id,
-    email: user.email,
+  if (user.disabledAt) {
+    return sendAccountDisabled(res);
+  }
+
+  // Hold back the session until the second factor is verified
+  if (user.twoFactorEnabled) {
+    return sendTwoFactorChallenge(res, user);
+  }
+
+  await lockoutService.recordSuccessfulLogin(user);
+
+  // Logging back in during the grace period keeps the account
+  const deletionCancelled = await privacyService.cancelAccountDeletion(user);
+
+  // Start a session and issue access/refresh tokens
+  const { token, refreshToken } = await sessionService.createSession(user, getRequestMeta(req));
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Login successful',
+    data: {
+      user: toUserData(user),
+      token,
+      refreshToken,
+      deletionCancelled,
+    },
   });
+});
+
+/**
+ * Sign in (or sign up) with a Google / Apple ID token
+ * POST /api/auth/oauth/:provider
+ */
+const oauthLogin = asyncHandler(async (req, res) => {
+  const { provider } = req.params;
+  const { idToken, name } = req.body;
+
+  if (!isProviderConfigured(provider)) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: `Sign in with ${provider} is not available`,
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  const identity = await oauthService.verifyIdToken(provider, idToken);
+
+  if (!identity) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.UNAUTHORIZED.code,
+      message: 'Invalid ID token',
+      code: ERROR_CODES.AUTHENTICATION_ERROR,
+    });
+  }
+
+  const result = await oauthService.findOrCreateUser(provider, identity, { name });
 
-  // Return user data (excluding password)
-  const userData = {
-    id: user.id,
-    email: user.email,
-    name: user.name,
-    isOnboarded: user.isOnboarded,
-    age: user.age,
-    weight: user.weight,
-    height: user.height,
-    gender: user.gender,
-    activityLevel: user.activityLevel,
-    bmi: user.bmi,
-    dailyCalorieGoal: user.dailyCalorieGoal,
-  };
+  if (result.missingEmail) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: 'A verified email is required to create an account',
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  if (result.conflict) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.CONFLICT.code,
+      message: 'An account with this email already exists. Login with your password and link this provider from your profile.',
+      code: ERROR_CODES.DUPLICATE_ENTRY,
+    });
+  }
+
+  const { user, isNewUser } = result;
+
+  if (user.disabledAt) {
+    return sendAccountDisabled(res);
+  }
+
+  // Hold back the session until the second factor is verified
+  if (user.twoFactorEnabled) {
+    return sendTwoFactorChallenge(res, user);
+  }
+
+  // Logging back in during the grace period keeps the account
+  const deletionCancelled = await privacyService.cancelAccountDeletion(user);
+
+  // Start a session and issue access/refresh tokens
+  const { token, refreshToken } = await sessionService.createSession(user, getRequestMeta(req));
+
+  return successResponse(res, {
+    statusCode: isNewUser ? HTTP_STATUS.CREATED.code : HTTP_STATUS.OK.code,
+    message: isNewUser ? 'User registered successfully' : 'Login successful',
+    data: {
+      user: toUserData(user),
+      token,
+      refreshToken,
+      isNewUser,
+      deletionCancelled,
+    },
+  });
+});
+
+/**
+ * Complete a 2FA login with a TOTP or recovery code
+ * POST /api/auth/2fa/verify
+ */
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  const challenge = verifyChallengeToken(challengeToken);
+
+  if (!challenge) {
+    return sendInvalidChallenge(res);
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: challenge.userId },
+  });
+
+  if (!user?.twoFactorEnabled) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.UNAUTHORIZED.code,
+      message: 'Invalid authentication code',
+      code: ERROR_CODES.AUTHENTICATION_ERROR,
+    });
+  }
+
+  if (user.disabledAt) {
+    return sendAccountDisabled(res);
+  }
+
+  // Only the latest challenge works, and only once
+  if (!totpService.isPendingChallenge(user, challenge)) {
+    return sendInvalidChallenge(res);
+  }
+
+  // Wrong codes count towards the same lockout as wrong passwords
+  const retryAfterSeconds = lockoutService.getRetryAfterSeconds(user);
+
+  if (retryAfterSeconds > 0) {
+    return sendLoginLocked(res, retryAfterSeconds);
+  }
+
+  const isValidFactor = await totpService.verifySecondFactor(user, { code, recoveryCode });
+
+  if (!isValidFactor) {
+    const { locked, retryAfterSeconds: lockedFor } = await lockoutService.recordFailedLogin(user);
+
+    if (locked) {
+      return sendLoginLocked(res, lockedFor);
+    }
+
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.UNAUTHORIZED.code,
+      message: 'Invalid authentication code',
+      code: ERROR_CODES.AUTHENTICATION_ERROR,
+    });
+  }
+
+  // A concurrent request with the same challenge may have used it in the meantime
+  if (!(await totpService.consumeLoginChallenge(challenge))) {
+    return sendInvalidChallenge(res);
+  }
+
+  await lockoutService.recordSuccessfulLogin(user);
+
+  // Logging back in during the grace period keeps the account
+  const deletionCancelled = await privacyService.cancelAccountDeletion(user);
+
+  // Start a session and issue access/refresh tokens
+  const { token, refreshToken } = await sessionService.createSession(user, getRequestMeta(req));
 
   return successResponse(res, {
     statusCode: HTTP_STATUS.OK.code,
     message: 'Login successful',
     data: {
-      user: userData,
+      user: toUserData(user),
       token,
+      refreshToken,
+      deletionCancelled,
+    },
+  });
+});
+
+/**
+ * Get whether 2FA is on and how many recovery codes are left
+ * GET /api/auth/2fa
+ */
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const { twoFactorEnabled } = req.user;
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Two-factor status retrieved successfully',
+    data: {
+      enabled: twoFactorEnabled,
+      recoveryCodesRemaining: twoFactorEnabled
+        ? await totpService.countRemainingRecoveryCodes(req.user.id)
+        : 0,
+    },
+  });
+});
+
+/**
+ * Start 2FA enrollment; returns a secret and otpauth:// URI for authenticator apps
+ * POST /api/auth/2fa/setup
+ */
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  if (req.user.twoFactorEnabled) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: 'Two-factor authentication is already enabled',
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  const enrollment = await totpService.startEnrollment(req.user);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: enrollment,
+  });
+});
+
+/**
+ * Confirm 2FA enrollment with a first code; returns recovery codes
+ * POST /api/auth/2fa/enable
+ */
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  if (req.user.twoFactorEnabled) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: 'Two-factor authentication is already enabled',
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  const recoveryCodes = await totpService.confirmEnrollment(req.user.id, req.body.code);
+
+  if (!recoveryCodes) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: 'Invalid authentication code. Start setup again if the problem persists.',
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    data: { recoveryCodes },
+  });
+});
+
+/**
+ * Turn 2FA off (requires a current TOTP or recovery code)
+ * POST /api/auth/2fa/disable
+ */
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { id: true, twoFactorEnabled: true, twoFactorSecret: true },
+  });
+
+  if (!user.twoFactorEnabled) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: 'Two-factor authentication is not enabled',
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  const isValidFactor = await totpService.verifySecondFactor(user, req.body);
+
+  if (!isValidFactor) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: 'Invalid authentication code',
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  await totpService.disable(user.id);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Two-factor authentication disabled',
+  });
+});
+
+/**
+ * Replace recovery codes (requires a current TOTP code)
+ * POST /api/auth/2fa/recovery-codes
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { id: true, twoFactorEnabled: true, twoFactorSecret: true },
+  });
+
+  const isValidFactor =
+    user.twoFactorEnabled &&
+    (await totpService.verifySecondFactor(user, { code: req.body.code }));
+
+  if (!isValidFactor) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: 'Invalid authentication code',
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  const recoveryCodes = await totpService.regenerateRecoveryCodes(user.id);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'New recovery codes generated. Previous codes no longer work.',
+    data: { recoveryCodes },
+  });
+});
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * POST /api/auth/refresh
+ */
+const refresh = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  const result = await sessionService.rotateSession(refreshToken, getRequestMeta(req));
+
+  if (!result) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.UNAUTHORIZED.code,
+      message: 'Invalid or expired refresh token. Please login again.',
+      code: ERROR_CODES.AUTHENTICATION_ERROR,
+    });
+  }
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Token refreshed successfully',
+    data: {
+      token: result.token,
+      refreshToken: result.refreshToken,
     },
   });
 });
 
 /**
- * Logout user (optional - client-side token removal)
+ * Logout user by revoking the current session
  * POST /api/auth/logout
  */
 const logout = asyncHandler(async (req, res) => {
-  // For JWT, logout is typically handled client-side by removing the token
-  // This endpoint can be used for logging, token blacklisting, etc.
-  
+  await sessionService.revokeSession(req.sessionId);
+
   return successResponse(res, {
     statusCode: HTTP_STATUS.OK.code,
     message: 'Logged out successfully',
   });
 });
 
+/**
+ * Logout from every device by revoking all sessions
+ * POST /api/auth/logout-all
+ */
+const logoutAll = asyncHandler(async (req, res) => {
+  const result = await sessionService.revokeAllSessions(req.user.id);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Logged out from all devices successfully',
+    data: { revokedCount: result.count },
+  });
+});
+
+/**
+ * List active sessions (devices) of the current user
+ * GET /api/auth/sessions
+ */
+const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listActiveSessions(req.user.id);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Sessions retrieved successfully',
+    data: {
+      sessions: sessions.map(({ lastUsedAt, ...session }) => ({
+        ...session,
+        lastSeenAt: lastUsedAt,
+        isCurrent: session.id === req.sessionId,
+      })),
+    },
+  });
+});
+
+/**
+ * Revoke one of the current user's sessions
+ * DELETE /api/auth/sessions/:id
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const result = await sessionService.revokeSession(req.params.id, req.user.id);
+
+  if (result.count === 0) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.NOT_FOUND.code,
+      message: 'Session not found or already revoked',
+      code: ERROR_CODES.NOT_FOUND,
+    });
+  }
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Session revoked successfully',
+  });
+});
+
+/**
+ * Request a password reset email
+ * POST /api/auth/forgot-password
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  // Sent in the background: waiting on it would make known emails answer slower, and
+  // delivery problems (or whether the account exists) are never revealed to the caller
+  accountService.requestPasswordReset(req.body.email).catch((error) => {
+    console.error('Failed to send password reset email:', error);
+  });
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'If an account exists for this email, a password reset link has been sent',
+  });
+});
+
+/**
+ * Set a new password using an emailed reset token
+ * POST /api/auth/reset-password
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+
+  const success = await accountService.resetPassword(token, password);
+
+  if (!success) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: 'Invalid or expired reset token',
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Password has been reset. Please login with your new password.',
+  });
+});
+
+/**
+ * Verify an email address using an emailed token
+ * POST /api/auth/verify-email
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const user = await accountService.verifyEmail(req.body.token);
+
+  if (!user) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: 'Invalid or expired verification token',
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Email verified successfully',
+    data: { user },
+  });
+});
+
+/**
+ * Resend the verification email for the current user
+ * POST /api/auth/resend-verification
+ */
+const resendVerification = asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: 'Email is already verified',
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  await accountService.sendEmailVerification(req.user);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Verification email sent',
+  });
+});
+
+/**
+ * Change the current user's password
+ * POST /api/auth/change-password
+ */
+const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { password: true },
+  });
+
+  // Social-login accounts without a password may set one without a current password
+  if (user.password) {
+    const isValidPassword =
+      !!currentPassword && (await comparePassword(currentPassword, user.password));
+
+    if (!isValidPassword) {
+      return errorResponse(res, {
+        statusCode: HTTP_STATUS.BAD_REQUEST.code,
+        message: 'Current password is incorrect',
+        code: ERROR_CODES.VALIDATION_ERROR,
+      });
+    }
+  }
+
+  if (currentPassword === newPassword) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: 'New password must be different from the current password',
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  await accountService.changePassword(req.user.id, newPassword, req.sessionId);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Password changed successfully. Other devices have been logged out.',
+  });
+});
+
+/**
+ * Request an email change; a confirmation link is sent to the new address
+ * POST /api/auth/change-email
+ */
+const changeEmail = asyncHandler(async (req, res) => {
+  const { password } = req.body;
+  const newEmail = req.body.newEmail.toLowerCase();
+
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { id: true, email: true, name: true, password: true },
+  });
+
+  if (!user.password) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: 'Please set a password before changing your email',
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  const isValidPassword = await comparePassword(password, user.password);
+
+  if (!isValidPassword) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: 'Password is incorrect',
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  if (newEmail === user.email) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: 'New email must be different from the current email',
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email: newEmail },
+    select: { id: true },
+  });
+
+  if (existingUser) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.CONFLICT.code,
+      message: 'User with this email already exists',
+      code: ERROR_CODES.DUPLICATE_ENTRY,
+    });
+  }
+
+  await accountService.requestEmailChange(user, newEmail);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'A confirmation link has been sent to the new email address',
+  });
+});
+
+/**
+ * Confirm an email change using the token sent to the new address
+ * POST /api/auth/change-email/confirm
+ */
+const confirmEmailChange = asyncHandler(async (req, res) => {
+  const user = await accountService.confirmEmailChange(req.body.token);
+
+  if (!user) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: 'Invalid or expired confirmation token',
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: 'Email changed successfully',
+    data: { user },
+  });
+});
+
 /**
  * Get current user (for token validation)
  * GET /api/auth/me
@@ -157,6 +866,24 @@ const getCurrentUser = asyncHandler(async (req, res) => {
 module.exports = {
   register,
   login,
+  oauthLogin,
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  refresh,
   logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  changePassword,
+  changeEmail,
+  confirmEmailChange,
   getCurrentUser,
 };
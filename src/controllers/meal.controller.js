@@ -6,6 +6,7 @@
 const mealService = require("../services/meal.service");
 const geminiService = require("../services/gemini.service");
 const cloudinaryService = require("../services/cloudinary.service");
+const usageService = require("../services/usage.service");
 const { getFileInfo } = require("../middlewares/upload.middleware");
 const {
   successResponse,
@@ -86,6 +87,7 @@ const getMeals = asyncHandler(async (req, res) => {
     startDate,
     endDate,
     mealType,
+    timeZone: req.user.timezone,
   });
 
   return paginatedResponse(res, {
@@ -129,7 +131,7 @@ const getMealById = asyncHandler(async (req, res) => {
 const getTodaysMeals = asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
-  const result = await mealService.getTodaysMeals(userId);
+  const result = await mealService.getTodaysMeals(userId, req.user.timezone);
 
   return successResponse(res, {
     statusCode: HTTP_STATUS.OK.code,
@@ -232,13 +234,28 @@ const analyzeFood = asyncHandler(async (req, res) => {
 
   let analysisResult;
   let imageUrl = null;
+  const analysisKind = fileInfo ? "image" : "text";
+
+  // Flag foods that conflict with the user's diet
+  const diet = {
+    dietaryPreferences: req.user.dietaryPreferences,
+    allergens: req.user.allergens,
+  };
+
+  // Track every Gemini request for the admin usage report (non-blocking)
+  const trackUsage = (success) => {
+    usageService
+      .recordGeminiUsage(req.user.id, { kind: analysisKind, success })
+      .catch((err) => console.error("Failed to record Gemini usage:", err));
+  };
 
   try {
     if (fileInfo) {
       // 1️⃣ Analyze FIRST using buffer
       analysisResult = await geminiService.analyzeImage(
         fileInfo.buffer,
-        fileInfo.mimetype
+        fileInfo.mimetype,
+        diet
       );
 
       // 2️⃣ Then upload image to Cloudinary
@@ -249,11 +266,12 @@ const analyzeFood = asyncHandler(async (req, res) => {
 
     } else {
       // Analyze text
-      analysisResult = await geminiService.analyzeTextDescription(description);
+      analysisResult = await geminiService.analyzeTextDescription(description, diet);
     }
 
   } catch (error) {
     console.error("Food analysis error:", error);
+    trackUsage(analysisResult?.success === true);
 
     // Detect Rate Limit/Quota Exceeded
     if (error.status === 429 || error.message?.includes('quota') || error.message?.includes('429')) {
@@ -271,6 +289,8 @@ const analyzeFood = asyncHandler(async (req, res) => {
     });
   }
 
+  trackUsage(analysisResult.success);
+
   if (!analysisResult.success) {
     return errorResponse(res, {
       statusCode: HTTP_STATUS.BAD_REQUEST.code,
@@ -0,0 +1,93 @@
+/**
+ * Body Measurement Controller
+ * Handles body measurement history and body composition requests
+ */
+
+const measurementService = require("../services/measurement.service");
+const {
+  successResponse,
+  errorResponse,
+  HTTP_STATUS,
+} = require("../utils/responses");
+const { ERROR_CODES } = require("../utils/constants");
+const { asyncHandler } = require("../middlewares/error.middleware");
+
+/**
+ * Get measurement history with derived metrics and body composition
+ * GET /api/users/measurements
+ */
+const getMeasurementHistory = asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  const history = await measurementService.getMeasurementHistory(req.user.id, { startDate, endDate });
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: "Measurement history retrieved successfully",
+    data: history,
+  });
+});
+
+/**
+ * Log body measurements
+ * POST /api/users/measurements
+ */
+const addMeasurement = asyncHandler(async (req, res) => {
+  const entry = await measurementService.addMeasurement(req.user.id, req.body);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.CREATED.code,
+    message: "Measurements logged successfully",
+    data: { entry },
+  });
+});
+
+/**
+ * Update a measurement entry
+ * PUT /api/users/measurements/:id
+ */
+const updateMeasurement = asyncHandler(async (req, res) => {
+  const entry = await measurementService.updateMeasurement(req.params.id, req.user.id, req.body);
+
+  if (!entry) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.NOT_FOUND.code,
+      message: "Measurement entry not found",
+      code: ERROR_CODES.NOT_FOUND,
+    });
+  }
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: "Measurement entry updated successfully",
+    data: { entry },
+  });
+});
+
+/**
+ * Delete a measurement entry
+ * DELETE /api/users/measurements/:id
+ */
+const deleteMeasurement = asyncHandler(async (req, res) => {
+  const deleted = await measurementService.deleteMeasurement(req.params.id, req.user.id);
+
+  if (!deleted) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.NOT_FOUND.code,
+      message: "Measurement entry not found",
+      code: ERROR_CODES.NOT_FOUND,
+    });
+  }
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: "Measurement entry deleted successfully",
+  });
+});
+
+module.exports = {
+  getMeasurementHistory,
+  addMeasurement,
+  updateMeasurement,
+  deleteMeasurement,
+};
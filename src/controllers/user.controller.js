@@ -4,7 +4,10 @@
  */
 
 const { prisma } = require("../config/database");
-const { calculateHealthMetrics } = require("../services/bmi.service");
+const profileService = require("../services/profile.service");
+const weightService = require("../services/weight.service");
+const goalHistoryService = require("../services/goalHistory.service");
+const tdeeService = require("../services/tdee.service");
 const {
   successResponse,
   errorResponse,
@@ -16,6 +19,12 @@ const {
 } = require("../utils/constants");
 const { asyncHandler } = require("../middlewares/error.middleware");
 const notificationService = require("../services/notification.service");
+const sessionService = require("../services/session.service");
+const oauthService = require("../services/oauth.service");
+const privacyService = require("../services/privacy.service");
+const apiKeyService = require("../services/apiKey.service");
+const { comparePassword } = require("../services/auth.service");
+const { isProviderConfigured } = require("../config/oauth");
 
 /**
  * Get user profile
@@ -29,18 +38,48 @@ const getProfile = asyncHandler(async (req, res) => {
     select: {
       id: true,
       email: true,
+      emailVerified: true,
+      role: true,
       name: true,
+      timezone: true,
+      unitSystem: true,
+      dateOfBirth: true,
+      dateOfBirthEstimated: true,
       age: true,
       weight: true,
       height: true,
       gender: true,
+      metabolicSex: true,
       activityLevel: true,
       goal: true,
+      bmrFormula: true,
+      bodyFatPercentage: true,
+      targetWeight: true,
+      targetDate: true,
+      targetWeeklyRate: true,
+      lifeStage: true,
+      lifeStageEndsAt: true,
+      macroPreset: true,
+      proteinPercent: true,
+      carbsPercent: true,
+      fatsPercent: true,
+      proteinGoal: true,
+      carbsGoal: true,
+      fatsGoal: true,
       bmi: true,
       dailyCalorieGoal: true,
+      calorieGoalMode: true,
+      adaptiveTdee: true,
+      adaptiveTdeeUpdatedAt: true,
+      dietaryPreferences: true,
+      allergens: true,
       isOnboarded: true,
       createdAt: true,
       updatedAt: true,
+      password: true,
+      oauthAccounts: {
+        select: { provider: true },
+      },
     },
   });
 
@@ -57,12 +96,24 @@ const getProfile = asyncHandler(async (req, res) => {
     ? ACTIVITY_LEVEL_DESCRIPTIONS[user.activityLevel] || "Unknown"
     : null;
 
+  // Expose login methods without leaking the password hash
+  const { password, oauthAccounts, ...profile } = user;
+  const metrics = profileService.computeProfileMetrics(user);
+
   return successResponse(res, {
     statusCode: HTTP_STATUS.OK.code,
     message: "Profile retrieved successfully",
     data: {
-      ...user,
+      ...profile,
+      age: profileService.getProfileAge(user),
       activityLevelDescription,
+      recommendedCalorieGoal: metrics?.dailyCalorieGoal ?? null,
+      formulaTdee: metrics?.tdee ?? null,
+      weightPlan: metrics?.plan ?? null,
+      // Set while a plan that stopped being feasible is shown in its adjusted form
+      planAdjustment: metrics?.planAdjustment?.message ?? null,
+      hasPassword: !!password,
+      linkedProviders: oauthAccounts.map((account) => account.provider),
     },
   });
 });
@@ -73,79 +124,128 @@ const getProfile = asyncHandler(async (req, res) => {
  */
 const updateProfile = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const { name, age, weight, height, gender, activityLevel, goal } = req.body;
-
-  // Get current user data
-  const currentUser = await prisma.user.findUnique({
-    where: { id: userId },
-  });
-
-  if (!currentUser) {
-    return errorResponse(res, {
-      statusCode: HTTP_STATUS.NOT_FOUND.code,
-      message: "User not found",
-      code: ERROR_CODES.NOT_FOUND,
-    });
-  }
-
-  // Build update data
-  const updateData = {};
-  if (name !== undefined) updateData.name = name;
-  if (age !== undefined) updateData.age = age;
-  if (weight !== undefined) updateData.weight = weight;
-  if (height !== undefined) updateData.height = height;
-  if (gender !== undefined) updateData.gender = gender;
-  if (activityLevel !== undefined) updateData.activityLevel = activityLevel;
-  if (goal !== undefined) updateData.goal = goal;
-
-  // Recalculate health metrics if any relevant field changed
-  const finalWeight = weight ?? currentUser.weight;
-  const finalHeight = height ?? currentUser.height;
-  const finalAge = age ?? currentUser.age;
-  const finalGender = gender ?? currentUser.gender;
-  const finalActivityLevel = activityLevel ?? currentUser.activityLevel;
-  const finalGoal = goal ?? currentUser.goal;
-
-  if (
-    finalWeight &&
-    finalHeight &&
-    finalAge &&
-    finalGender &&
-    finalActivityLevel
-  ) {
-    const metrics = calculateHealthMetrics({
-      weight: finalWeight,
-      height: finalHeight,
-      age: finalAge,
-      gender: finalGender,
-      activityLevel: finalActivityLevel,
-      goal: finalGoal,
-    });
-
-    updateData.bmi = metrics.bmi;
-    updateData.dailyCalorieGoal = metrics.dailyCalorieGoal;
-  }
-
-  // Update user
-  const updatedUser = await prisma.user.update({
-    where: { id: userId },
-    data: updateData,
-    select: {
+  const {
+    name,
+    timezone,
+    unitSystem,
+    dateOfBirth,
+    age,
+    weight,
+    height,
+    gender,
+    metabolicSex,
+    activityLevel,
+    goal,
+    bmrFormula,
+    bodyFatPercentage,
+    targetWeight,
+    targetDate,
+    targetWeeklyRate,
+    lifeStage,
+    lifeStageEndsAt,
+    macroPreset,
+    macroSplit,
+    macroGoals,
+    dailyCalorieGoal,
+    calorieGoalMode,
+    dietaryPreferences,
+    allergens,
+  } = req.body;
+
+  // Update user; BMI and calorie goal are recalculated from the merged profile
+  const result = await profileService.applyProfileChanges(
+    userId,
+    {
+      name,
+      timezone,
+      unitSystem,
+      dateOfBirth,
+      age,
+      weight,
+      height,
+      gender,
+      metabolicSex,
+      activityLevel,
+      goal,
+      bmrFormula,
+      bodyFatPercentage,
+      targetWeight,
+      targetDate,
+      targetWeeklyRate,
+      lifeStage,
+      lifeStageEndsAt,
+      macroPreset,
+      macroSplit,
+      macroGoals,
+      dailyCalorieGoal,
+      calorieGoalMode,
+      dietaryPreferences,
+      allergens,
+    },
+    {
       id: true,
       email: true,
       name: true,
+      timezone: true,
+      unitSystem: true,
+      dateOfBirth: true,
+      dateOfBirthEstimated: true,
       age: true,
       weight: true,
       height: true,
       gender: true,
+      metabolicSex: true,
       activityLevel: true,
       goal: true,
+      bmrFormula: true,
+      bodyFatPercentage: true,
+      targetWeight: true,
+      targetDate: true,
+      targetWeeklyRate: true,
+      lifeStage: true,
+      lifeStageEndsAt: true,
+      macroPreset: true,
+      proteinPercent: true,
+      carbsPercent: true,
+      fatsPercent: true,
+      proteinGoal: true,
+      carbsGoal: true,
+      fatsGoal: true,
       bmi: true,
       dailyCalorieGoal: true,
+      calorieGoalMode: true,
+      adaptiveTdee: true,
+      adaptiveTdeeUpdatedAt: true,
+      dietaryPreferences: true,
+      allergens: true,
       isOnboarded: true,
       updatedAt: true,
     },
-  });
+  );
+
+  if (!result) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.NOT_FOUND.code,
+      message: "User not found",
+      code: ERROR_CODES.NOT_FOUND,
+    });
+  }
+
+  if (result.planError) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: result.planError,
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  const updatedUser = result.user;
+
+  // Keep the weigh-in history instead of only overwriting the profile weight; a form that
+  // resends the stored weight isn't a new weigh-in
+  if (weight !== undefined && !weightService.isSameWeight(weight, req.user.weight)) {
+    await weightService.recordWeight(userId, weight);
+  }
 
   // Add activity level description
   const activityLevelDescription = updatedUser.activityLevel
@@ -158,6 +258,11 @@ const updateProfile = asyncHandler(async (req, res) => {
     data: {
       ...updatedUser,
       activityLevelDescription,
+      // What auto mode would set, shown alongside a manual goal
+      recommendedCalorieGoal: result.metrics?.dailyCalorieGoal ?? null,
+      formulaTdee: result.metrics?.tdee ?? null,
+      weightPlan: result.metrics?.plan ?? null,
+      planAdjustment: result.metrics?.planAdjustment?.message ?? null,
     },
   });
 });
@@ -168,7 +273,31 @@ const updateProfile = asyncHandler(async (req, res) => {
  */
 const completeOnboarding = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const { name, age, weight, height, gender, activityLevel, goal } = req.body;
+  const {
+    name,
+    timezone,
+    unitSystem,
+    dateOfBirth,
+    age,
+    weight,
+    height,
+    gender,
+    metabolicSex,
+    activityLevel,
+    goal,
+    bmrFormula,
+    bodyFatPercentage,
+    targetWeight,
+    targetDate,
+    targetWeeklyRate,
+    lifeStage,
+    lifeStageEndsAt,
+    macroPreset,
+    macroSplit,
+    macroGoals,
+    dietaryPreferences,
+    allergens,
+  } = req.body;
 
   // Check if already onboarded - only fetch the field we need
   const currentUser = await prisma.user.findUnique({
@@ -184,48 +313,89 @@ const completeOnboarding = asyncHandler(async (req, res) => {
     });
   }
 
-  // Calculate health metrics
-  const metrics = calculateHealthMetrics({
-    weight,
-    height,
-    age,
-    gender,
-    activityLevel,
-    goal,
-  });
-
-  // Update user with onboarding data
-  const updatedUser = await prisma.user.update({
-    where: { id: userId },
-    data: {
+  // Update user with onboarding data and calculated health metrics
+  const result = await profileService.applyProfileChanges(
+    userId,
+    {
       name,
+      timezone,
+      unitSystem,
+      dateOfBirth,
       age,
       weight,
       height,
       gender,
+      metabolicSex,
       activityLevel,
       goal,
-      bmi: metrics.bmi,
-      dailyCalorieGoal: metrics.dailyCalorieGoal,
+      bmrFormula,
+      bodyFatPercentage,
+      targetWeight,
+      targetDate,
+      targetWeeklyRate,
+      lifeStage,
+      lifeStageEndsAt,
+      macroPreset,
+      macroSplit,
+      macroGoals,
+      dietaryPreferences,
+      allergens,
       isOnboarded: true,
     },
-    select: {
+    {
       id: true,
       email: true,
       name: true,
+      timezone: true,
+      unitSystem: true,
+      dateOfBirth: true,
+      dateOfBirthEstimated: true,
       age: true,
       weight: true,
       height: true,
       gender: true,
+      metabolicSex: true,
       activityLevel: true,
       goal: true,
+      bmrFormula: true,
+      bodyFatPercentage: true,
+      targetWeight: true,
+      targetDate: true,
+      targetWeeklyRate: true,
+      lifeStage: true,
+      lifeStageEndsAt: true,
+      macroPreset: true,
+      proteinPercent: true,
+      carbsPercent: true,
+      fatsPercent: true,
+      proteinGoal: true,
+      carbsGoal: true,
+      fatsGoal: true,
       bmi: true,
       dailyCalorieGoal: true,
+      calorieGoalMode: true,
+      adaptiveTdee: true,
+      adaptiveTdeeUpdatedAt: true,
+      dietaryPreferences: true,
+      allergens: true,
       isOnboarded: true,
       createdAt: true,
       updatedAt: true,
     },
-  });
+  );
+
+  if (result.planError) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: result.planError,
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  const { user: updatedUser, metrics } = result;
+
+  // Start the weigh-in history
+  await weightService.recordWeight(userId, weight);
 
   // Build response with calculated data
   const activityLevelDescription =
@@ -243,12 +413,53 @@ const completeOnboarding = asyncHandler(async (req, res) => {
         bmi: metrics.bmi,
         bmiCategory: metrics.bmiCategory,
         bmr: metrics.bmr,
+        bmrFormula: metrics.bmrFormula,
+        metabolicSex: metrics.metabolicSex,
+        tdee: metrics.tdee,
+        lifeStage: metrics.lifeStage,
         dailyCalorieGoal: metrics.dailyCalorieGoal,
+        weightPlan: metrics.plan,
       },
     },
   });
 });
 
+/**
+ * Get the history of calorie and macro goals
+ * GET /api/users/goal-history
+ */
+const getGoalHistory = asyncHandler(async (req, res) => {
+  const history = await goalHistoryService.listGoalHistory(req.user.id);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: "Goal history retrieved successfully",
+    data: { history },
+  });
+});
+
+/**
+ * Get the formula TDEE alongside the one estimated from logged meals and weigh-ins
+ * GET /api/users/tdee
+ */
+const getTdee = asyncHandler(async (req, res) => {
+  const tdee = await tdeeService.getTdeeSummary(req.user.id);
+
+  if (!tdee) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.NOT_FOUND.code,
+      message: "User not found",
+      code: ERROR_CODES.NOT_FOUND,
+    });
+  }
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: "TDEE retrieved successfully",
+    data: tdee,
+  });
+});
+
 /**
  * Get user statistics
  * GET /api/users/stats
@@ -293,7 +504,7 @@ const getUserStats = asyncHandler(async (req, res) => {
 });
 
 /**
- * Update user's FCM token for push notifications
+ * Update the current device's FCM token for push notifications
  * PATCH /api/users/fcm-token
  */
 const updateFcmToken = asyncHandler(async (req, res) => {
@@ -308,20 +519,9 @@ const updateFcmToken = asyncHandler(async (req, res) => {
     });
   }
 
-  // 1. Clear this token from any other users who might have it (ensure uniqueness)
-  await prisma.user.updateMany({
-    where: {
-      fcmToken: fcmToken,
-      id: { not: userId }
-    },
-    data: { fcmToken: null }
-  });
-
-  // 2. Assign token to current user
-  await prisma.user.update({
-    where: { id: userId },
-    data: { fcmToken },
-  });
+  // Link the token to this device's session; it is detached from whichever
+  // session held it before, so only the account logged in on the device gets pushes
+  await sessionService.setSessionFcmToken(req.sessionId, fcmToken);
 
   // Only send a greeting notification if explicitly requested (on login/onboarding)
   if (isLogin) {
@@ -346,10 +546,221 @@ const updateFcmToken = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * List social login providers linked to the current user
+ * GET /api/users/oauth
+ */
+const getLinkedProviders = asyncHandler(async (req, res) => {
+  const accounts = await oauthService.listLinkedAccounts(req.user.id);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: "Linked providers retrieved successfully",
+    data: { accounts },
+  });
+});
+
+/**
+ * Link a social login provider to the current user
+ * POST /api/users/oauth/:provider
+ */
+const linkProvider = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { provider } = req.params;
+
+  if (!isProviderConfigured(provider)) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: `Sign in with ${provider} is not available`,
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  const identity = await oauthService.verifyIdToken(provider, req.body.idToken);
+
+  if (!identity) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.UNAUTHORIZED.code,
+      message: "Invalid ID token",
+      code: ERROR_CODES.AUTHENTICATION_ERROR,
+    });
+  }
+
+  // Prisma unique constraints reject an identity already linked elsewhere
+  // (or a second account of the same provider) with a 409 via the error handler
+  await oauthService.linkAccount(userId, provider, identity);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.CREATED.code,
+    message: `${provider} account linked successfully`,
+  });
+});
+
+/**
+ * Unlink a social login provider from the current user
+ * DELETE /api/users/oauth/:provider
+ */
+const unlinkProvider = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { provider } = req.params;
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      password: true,
+      oauthAccounts: { select: { provider: true } },
+    },
+  });
+
+  const isLinked = user.oauthAccounts.some((account) => account.provider === provider);
+
+  if (!isLinked) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.NOT_FOUND.code,
+      message: `No ${provider} account is linked`,
+      code: ERROR_CODES.NOT_FOUND,
+    });
+  }
+
+  // Never remove the last way to sign in
+  if (!user.password && user.oauthAccounts.length === 1) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: "Set a password before unlinking your only sign-in method",
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  await oauthService.unlinkAccount(userId, provider);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: `${provider} account unlinked successfully`,
+  });
+});
+
+/**
+ * Download all of the current user's data as a JSON file
+ * GET /api/users/export
+ */
+const exportData = asyncHandler(async (req, res) => {
+  const archive = await privacyService.exportUserData(req.user.id);
+  const date = archive.exportedAt.slice(0, 10);
+
+  res.attachment(`calorie-tracker-export-${date}.json`);
+  res.type("application/json");
+
+  return res.status(HTTP_STATUS.OK.code).send(JSON.stringify(archive, null, 2));
+});
+
+/**
+ * Schedule the current user's account for deletion
+ * Logging in again before the grace period ends cancels it
+ * DELETE /api/users/me
+ */
+const deleteAccount = asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.user.id },
+    select: { id: true, password: true },
+  });
+
+  // Social-only accounts have no password to confirm with
+  if (user.password) {
+    const isValidPassword = await comparePassword(req.body.password || "", user.password);
+
+    if (!isValidPassword) {
+      return errorResponse(res, {
+        statusCode: HTTP_STATUS.BAD_REQUEST.code,
+        message: "Password is incorrect",
+        code: ERROR_CODES.VALIDATION_ERROR,
+      });
+    }
+  }
+
+  const deletionScheduledAt = await privacyService.scheduleAccountDeletion(user.id);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: `Your account will be deleted in ${privacyService.ACCOUNT_DELETION_GRACE_DAYS} days. Log in again before then to cancel.`,
+    data: { deletionScheduledAt },
+  });
+});
+
+/**
+ * List the current user's API keys
+ * GET /api/users/api-keys
+ */
+const getApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await apiKeyService.listApiKeys(req.user.id);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: "API keys retrieved successfully",
+    data: { apiKeys },
+  });
+});
+
+/**
+ * Create an API key; the key itself is only returned in this response
+ * POST /api/users/api-keys
+ */
+const createApiKey = asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const activeCount = await apiKeyService.countActiveApiKeys(userId);
+
+  if (activeCount >= apiKeyService.MAX_ACTIVE_API_KEYS) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.BAD_REQUEST.code,
+      message: `You can have at most ${apiKeyService.MAX_ACTIVE_API_KEYS} API keys. Revoke one first.`,
+      code: ERROR_CODES.VALIDATION_ERROR,
+    });
+  }
+
+  const { apiKey, key } = await apiKeyService.createApiKey(userId, req.body);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.CREATED.code,
+    message: "API key created. Copy it now, it will not be shown again.",
+    data: { apiKey, key },
+  });
+});
+
+/**
+ * Revoke one of the current user's API keys
+ * DELETE /api/users/api-keys/:id
+ */
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const revoked = await apiKeyService.revokeApiKey(req.params.id, req.user.id);
+
+  if (!revoked) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.NOT_FOUND.code,
+      message: "API key not found",
+      code: ERROR_CODES.NOT_FOUND,
+    });
+  }
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: "API key revoked successfully",
+  });
+});
+
 module.exports = {
   getProfile,
   updateProfile,
   completeOnboarding,
+  getGoalHistory,
+  getTdee,
   getUserStats,
   updateFcmToken,
+  getLinkedProviders,
+  linkProvider,
+  unlinkProvider,
+  exportData,
+  deleteAccount,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
 };
@@ -0,0 +1,93 @@
+/**
+ * Weight Controller
+ * Handles weigh-in history and trend requests
+ */
+
+const weightService = require("../services/weight.service");
+const {
+  successResponse,
+  errorResponse,
+  HTTP_STATUS,
+} = require("../utils/responses");
+const { ERROR_CODES } = require("../utils/constants");
+const { asyncHandler } = require("../middlewares/error.middleware");
+
+/**
+ * Get weight history with trend weight and weekly rate of change
+ * GET /api/users/weight
+ */
+const getWeightHistory = asyncHandler(async (req, res) => {
+  const { startDate, endDate } = req.query;
+
+  const history = await weightService.getWeightHistory(req.user.id, { startDate, endDate });
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: "Weight history retrieved successfully",
+    data: history,
+  });
+});
+
+/**
+ * Log a weigh-in
+ * POST /api/users/weight
+ */
+const addWeightEntry = asyncHandler(async (req, res) => {
+  const entry = await weightService.addWeightEntry(req.user.id, req.body);
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.CREATED.code,
+    message: "Weight logged successfully",
+    data: { entry },
+  });
+});
+
+/**
+ * Update a weigh-in
+ * PUT /api/users/weight/:id
+ */
+const updateWeightEntry = asyncHandler(async (req, res) => {
+  const entry = await weightService.updateWeightEntry(req.params.id, req.user.id, req.body);
+
+  if (!entry) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.NOT_FOUND.code,
+      message: "Weight entry not found",
+      code: ERROR_CODES.NOT_FOUND,
+    });
+  }
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: "Weight entry updated successfully",
+    data: { entry },
+  });
+});
+
+/**
+ * Delete a weigh-in
+ * DELETE /api/users/weight/:id
+ */
+const deleteWeightEntry = asyncHandler(async (req, res) => {
+  const deleted = await weightService.deleteWeightEntry(req.params.id, req.user.id);
+
+  if (!deleted) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.NOT_FOUND.code,
+      message: "Weight entry not found",
+      code: ERROR_CODES.NOT_FOUND,
+    });
+  }
+
+  return successResponse(res, {
+    statusCode: HTTP_STATUS.OK.code,
+    message: "Weight entry deleted successfully",
+  });
+});
+
+module.exports = {
+  getWeightHistory,
+  addWeightEntry,
+  updateWeightEntry,
+  deleteWeightEntry,
+};
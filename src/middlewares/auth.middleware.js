@@ -1,19 +1,146 @@
 /**
  * Authentication Middleware
- * Verifies JWT tokens and protects routes
+ * Verifies JWT tokens and API keys and protects routes
  */
 
 const { verifyToken, extractTokenFromHeader } = require('../services/auth.service');
+const { findActiveSession, touchSession } = require('../services/session.service');
+const { findActiveApiKey, touchApiKey } = require('../services/apiKey.service');
 const { prisma } = require('../config/database');
 const { errorResponse, HTTP_STATUS } = require('../utils/responses');
 const { ERROR_CODES } = require('../utils/constants');
 
 /**
- * Middleware to authenticate requests using JWT
- * Attaches user object to request if successful
+ * User fields attached to req.user
+ */
+const authUserSelect = {
+  id: true,
+  email: true,
+  emailVerified: true,
+  twoFactorEnabled: true,
+  role: true,
+  disabledAt: true,
+  name: true,
+  timezone: true,
+  unitSystem: true,
+  dietaryPreferences: true,
+  allergens: true,
+  isOnboarded: true,
+  dateOfBirth: true,
+  dateOfBirthEstimated: true,
+  age: true,
+  weight: true,
+  height: true,
+  gender: true,
+  metabolicSex: true,
+  activityLevel: true,
+  bmi: true,
+  dailyCalorieGoal: true,
+};
+
+/**
+ * Reject a missing or disabled user
+ * @param {Object} res - Express response object
+ * @param {Object|null} user - User loaded with authUserSelect
+ * @returns {Object|null} - The sent error response, or null if the user may continue
+ */
+const rejectUnusableUser = (res, user) => {
+  if (!user) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.UNAUTHORIZED.code,
+      message: 'User not found.',
+      code: ERROR_CODES.AUTHENTICATION_ERROR,
+    });
+  }
+
+  if (user.disabledAt) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.FORBIDDEN.code,
+      message: 'This account has been disabled.',
+      code: ERROR_CODES.ACCOUNT_DISABLED,
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Middleware that lets a router accept API keys, and declares the scopes they need
+ * Must be placed before authenticate; routes without it refuse API keys
+ * @param {Object} scopes
+ * @param {string} [scopes.read] - Scope required for GET/HEAD requests
+ * @param {string} [scopes.write] - Scope required for other methods (omit to refuse writes)
+ * @returns {Function} - Express middleware
+ */
+const allowApiKey = ({ read, write }) => (req, res, next) => {
+  req.apiKeyScope = ['GET', 'HEAD'].includes(req.method) ? read : write;
+  next();
+};
+
+/**
+ * Authenticate a request made with an X-API-Key header
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @param {string} key - Raw API key
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  if (!req.apiKeyScope) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.FORBIDDEN.code,
+      message: 'API keys cannot be used for this endpoint.',
+      code: ERROR_CODES.AUTHORIZATION_ERROR,
+    });
+  }
+
+  const apiKey = await findActiveApiKey(key);
+
+  if (!apiKey) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.UNAUTHORIZED.code,
+      message: 'Invalid or revoked API key.',
+      code: ERROR_CODES.AUTHENTICATION_ERROR,
+    });
+  }
+
+  if (!apiKey.scopes.includes(req.apiKeyScope)) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.FORBIDDEN.code,
+      message: `API key is missing the '${req.apiKeyScope}' scope.`,
+      code: ERROR_CODES.AUTHORIZATION_ERROR,
+    });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: apiKey.userId },
+    select: authUserSelect,
+  });
+
+  if (rejectUnusableUser(res, user)) {
+    return;
+  }
+
+  touchApiKey(apiKey).catch((err) => console.error('Failed to update API key activity:', err));
+
+  // API key requests have no session
+  req.user = user;
+  req.apiKey = { id: apiKey.id, scopes: apiKey.scopes };
+  req.sessionId = null;
+  next();
+};
+
+/**
+ * Middleware to authenticate requests using a JWT or, where allowed, an API key
+ * Attaches user object and session ID to request if successful
  */
 const authenticate = async (req, res, next) => {
   try {
+    const apiKey = req.headers['x-api-key'];
+
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     // Get token from header
     const authHeader = req.headers.authorization;
     const token = extractTokenFromHeader(authHeader);
@@ -45,34 +172,33 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Get user from database
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        isOnboarded: true,
-        age: true,
-        weight: true,
-        height: true,
-        gender: true,
-        activityLevel: true,
-        bmi: true,
-        dailyCalorieGoal: true,
-      },
-    });
+    // Reject tokens whose session has been revoked (logout) or has expired
+    const session = await findActiveSession(decoded.sessionId, decoded.userId);
 
-    if (!user) {
+    if (!session) {
       return errorResponse(res, {
         statusCode: HTTP_STATUS.UNAUTHORIZED.code,
-        message: 'User not found.',
+        message: 'Session has ended. Please login again.',
         code: ERROR_CODES.AUTHENTICATION_ERROR,
       });
     }
 
-    // Attach user to request
+    // Get user from database
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      select: authUserSelect,
+    });
+
+    if (rejectUnusableUser(res, user)) {
+      return;
+    }
+
+    // Keep the device's "last seen" current without blocking the request
+    touchSession(session).catch((err) => console.error('Failed to update session activity:', err));
+
+    // Attach user and session to request
     req.user = user;
+    req.sessionId = session.id;
     next();
   } catch (error) {
     console.error('Authentication error:', error);
@@ -108,6 +234,56 @@ const requireOnboarding = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware to gate features on a verified email address
+ * Opt-in per route; should be used after authenticate middleware
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.UNAUTHORIZED.code,
+      message: 'User not authenticated.',
+      code: ERROR_CODES.AUTHENTICATION_ERROR,
+    });
+  }
+
+  if (!req.user.emailVerified) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.FORBIDDEN.code,
+      message: 'Please verify your email address first.',
+      code: ERROR_CODES.AUTHORIZATION_ERROR,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware factory to restrict a route to users with one of the given roles
+ * Should be used after authenticate middleware
+ * @param {...string} roles - Allowed roles (see USER_ROLES)
+ * @returns {Function} - Express middleware
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.UNAUTHORIZED.code,
+      message: 'User not authenticated.',
+      code: ERROR_CODES.AUTHENTICATION_ERROR,
+    });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return errorResponse(res, {
+      statusCode: HTTP_STATUS.FORBIDDEN.code,
+      message: 'You do not have permission to perform this action.',
+      code: ERROR_CODES.AUTHORIZATION_ERROR,
+    });
+  }
+
+  next();
+};
+
 /**
  * Optional authentication - attaches user if token present, but doesn't require it
  */
@@ -122,18 +298,27 @@ const optionalAuth = async (req, res, next) => {
 
     try {
       const decoded = verifyToken(token);
+      const session = await findActiveSession(decoded.sessionId, decoded.userId);
+
+      if (!session) {
+        return next();
+      }
+
       const user = await prisma.user.findUnique({
         where: { id: decoded.userId },
         select: {
           id: true,
           email: true,
+          role: true,
+          disabledAt: true,
           name: true,
           isOnboarded: true,
         },
       });
 
-      if (user) {
+      if (user && !user.disabledAt) {
         req.user = user;
+        req.sessionId = session.id;
       }
     } catch (error) {
       // Token invalid, but optional so continue
@@ -147,6 +332,9 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  allowApiKey,
   requireOnboarding,
+  requireVerifiedEmail,
+  authorize,
   optionalAuth,
 };
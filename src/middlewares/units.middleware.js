@@ -0,0 +1,27 @@
+/**
+ * Units Middleware
+ * Converts request bodies to metric and JSON responses back to the user's
+ * preferred units, so controllers, services and the database only see metric
+ */
+
+const { toMetricInput, toUserUnits } = require('../utils/units');
+
+/**
+ * Use the authenticated user's unit preference for this request
+ * Must run after authenticate and before validate
+ * A unitSystem in the body (changing the preference) applies to the same request
+ */
+const useUserUnits = (req, res, next) => {
+  const getUnitSystem = () => req.body?.unitSystem || req.user?.unitSystem || 'metric';
+
+  req.body = toMetricInput(req.body, getUnitSystem());
+
+  const json = res.json.bind(res);
+  res.json = (body) => json(toUserUnits(body, getUnitSystem()));
+
+  next();
+};
+
+module.exports = {
+  useUserUnits,
+};
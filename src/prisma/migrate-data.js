@@ -0,0 +1,45 @@
+/**
+ * Data Migrations
+ * Moves existing data into shape after a schema change, which `prisma db push` can't do.
+ * Run after every push: npm run prisma:push && npm run prisma:migrate-data
+ * Each step only touches rows that still need it, so running it again is safe
+ */
+
+require("dotenv").config();
+
+const { connectDatabase, disconnectDatabase } = require("../config/database");
+const { migrateUserFcmTokens } = require("../services/session.service");
+const { seedWeightEntriesFromProfiles } = require("../services/weight.service");
+const { migrateAgesToDateOfBirth, backfillMetabolicSex } = require("../services/profile.service");
+
+/**
+ * Steps in the order they run
+ */
+const MIGRATIONS = [
+  { name: "Move push tokens from users to their sessions", run: migrateUserFcmTokens },
+  { name: "Seed the weight log with each profile's weight", run: seedWeightEntriesFromProfiles },
+  { name: "Estimate a date of birth for users with only an age", run: migrateAgesToDateOfBirth },
+  { name: "Set metabolic sex from a legacy male/female gender", run: backfillMetabolicSex },
+];
+
+/**
+ * Run every data migration
+ * @returns {Promise<void>}
+ */
+const runDataMigrations = async () => {
+  await connectDatabase();
+
+  try {
+    for (const { name, run } of MIGRATIONS) {
+      const count = await run();
+      console.log(`✅ ${name}: ${count} updated`);
+    }
+  } finally {
+    await disconnectDatabase();
+  }
+};
+
+runDataMigrations().catch((error) => {
+  console.error("❌ Data migration failed:", error);
+  process.exit(1);
+});
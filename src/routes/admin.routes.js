@@ -0,0 +1,118 @@
+/**
+ * Admin Routes
+ * User management, usage reporting and broadcast notifications
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const adminController = require('../controllers/admin.controller');
+const { authenticate, authorize } = require('../middlewares/auth.middleware');
+const { validate } = require('../middlewares/validate.middleware');
+const {
+  adminUserQuerySchema,
+  updateUserRoleSchema,
+  usageQuerySchema,
+  broadcastNotificationSchema,
+  idParamSchema,
+} = require('../utils/validators');
+
+// All admin routes require an authenticated admin
+router.use(authenticate, authorize('admin'));
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List and search users (?search=&role=&disabled=&page=&limit=)
+ * @access  Admin
+ */
+router.get('/users', validate(adminUserQuerySchema, 'query'), adminController.getUsers);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Get a single user with activity counts
+ * @access  Admin
+ */
+router.get('/users/:id', validate(idParamSchema, 'params'), adminController.getUser);
+
+/**
+ * @route   PATCH /api/admin/users/:id/role
+ * @desc    Change a user's role
+ * @access  Admin
+ */
+router.patch(
+  '/users/:id/role',
+  validate(idParamSchema, 'params'),
+  validate(updateUserRoleSchema),
+  adminController.updateUserRole
+);
+
+/**
+ * @route   POST /api/admin/users/:id/disable
+ * @desc    Disable an account and log out all of its devices
+ * @access  Admin
+ */
+router.post(
+  '/users/:id/disable',
+  validate(idParamSchema, 'params'),
+  adminController.disableUser
+);
+
+/**
+ * @route   POST /api/admin/users/:id/enable
+ * @desc    Re-enable a disabled account
+ * @access  Admin
+ */
+router.post(
+  '/users/:id/enable',
+  validate(idParamSchema, 'params'),
+  adminController.enableUser
+);
+
+/**
+ * @route   GET /api/admin/users/:id/lockout
+ * @desc    Get a user's login lockout state
+ * @access  Admin
+ */
+router.get(
+  '/users/:id/lockout',
+  validate(idParamSchema, 'params'),
+  adminController.getUserLockout
+);
+
+/**
+ * @route   DELETE /api/admin/users/:id/lockout
+ * @desc    Unlock a user's account
+ * @access  Admin
+ */
+router.delete(
+  '/users/:id/lockout',
+  validate(idParamSchema, 'params'),
+  adminController.unlockUser
+);
+
+/**
+ * @route   GET /api/admin/lockouts
+ * @desc    List accounts that are currently locked out or delayed
+ * @access  Admin
+ */
+router.get('/lockouts', adminController.getLockedAccounts);
+
+/**
+ * @route   GET /api/admin/usage/gemini
+ * @desc    Gemini food analysis usage (?days=30)
+ * @access  Admin
+ */
+router.get('/usage/gemini', validate(usageQuerySchema, 'query'), adminController.getGeminiUsage);
+
+/**
+ * @route   POST /api/admin/notifications/broadcast
+ * @desc    Send a notification to all active users (optionally one role)
+ * @access  Admin
+ */
+router.post(
+  '/notifications/broadcast',
+  validate(broadcastNotificationSchema),
+  adminController.broadcastNotification
+);
+
+module.exports = router;
@@ -7,9 +7,10 @@ const express = require('express');
 const router = express.Router();
 
 const analyticsController = require('../controllers/analytics.controller');
-const { authenticate, requireOnboarding } = require('../middlewares/auth.middleware');
+const { authenticate, allowApiKey, requireOnboarding } = require('../middlewares/auth.middleware');
 
-// All analytics routes require authentication and onboarding
+// All analytics routes require authentication (JWT or a scoped API key) and onboarding
+router.use(allowApiKey({ read: 'analytics:read' }));
 router.use(authenticate);
 router.use(requireOnboarding);
 
@@ -1,6 +1,7 @@
 /**
  * Authentication Routes
- * Handles user registration, login, and logout
+ * Handles user registration, login (password and social), token refresh, logout, sessions,
+ * password recovery, email verification, credential changes and 2FA
  */
 
 const express = require('express');
@@ -10,7 +11,22 @@ const rateLimit = require('express-rate-limit');
 const authController = require('../controllers/auth.controller');
 const { authenticate } = require('../middlewares/auth.middleware');
 const { validate } = require('../middlewares/validate.middleware');
-const { registerSchema, loginSchema } = require('../utils/validators');
+const {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  changePasswordSchema,
+  changeEmailSchema,
+  oauthProviderParamSchema,
+  oauthLoginSchema,
+  twoFactorCodeSchema,
+  twoFactorFactorSchema,
+  twoFactorLoginSchema,
+  idParamSchema,
+} = require('../utils/validators');
 
 /**
  * Rate limiter for auth endpoints
@@ -42,7 +58,7 @@ router.post(
 
 /**
  * @route   POST /api/auth/login
- * @desc    Login user and get JWT token
+ * @desc    Login user and get access + refresh tokens
  * @access  Public
  */
 router.post(
@@ -52,13 +68,214 @@ router.post(
   authController.login
 );
 
+/**
+ * @route   POST /api/auth/oauth/:provider
+ * @desc    Sign in or sign up with a Google / Apple ID token
+ * @access  Public
+ */
+router.post(
+  '/oauth/:provider',
+  authLimiter,
+  validate(oauthProviderParamSchema, 'params'),
+  validate(oauthLoginSchema),
+  authController.oauthLogin
+);
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete a 2FA login with a TOTP or recovery code
+ * @access  Public (requires the challenge token returned by login)
+ */
+router.post(
+  '/2fa/verify',
+  authLimiter,
+  validate(twoFactorLoginSchema),
+  authController.verifyTwoFactorLogin
+);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get 2FA status and the number of unused recovery codes
+ * @access  Private
+ */
+router.get('/2fa', authenticate, authController.getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment and get an otpauth:// URI
+ * @access  Private
+ */
+router.post('/2fa/setup', authenticate, authController.setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment with a TOTP code and get recovery codes
+ * @access  Private
+ */
+router.post(
+  '/2fa/enable',
+  authLimiter,
+  authenticate,
+  validate(twoFactorCodeSchema),
+  authController.enableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn 2FA off using a TOTP or recovery code
+ * @access  Private
+ */
+router.post(
+  '/2fa/disable',
+  authLimiter,
+  authenticate,
+  validate(twoFactorFactorSchema),
+  authController.disableTwoFactor
+);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Replace recovery codes (requires a TOTP code)
+ * @access  Private
+ */
+router.post(
+  '/2fa/recovery-codes',
+  authLimiter,
+  authenticate,
+  validate(twoFactorCodeSchema),
+  authController.regenerateRecoveryCodes
+);
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate refresh token and get a new access token
+ * @access  Public (requires a valid refresh token)
+ */
+router.post(
+  '/refresh',
+  validate(refreshTokenSchema),
+  authController.refresh
+);
+
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (client-side token removal)
+ * @desc    Logout user by revoking the current session
  * @access  Private
  */
 router.post('/logout', authenticate, authController.logout);
 
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout from all devices by revoking every session
+ * @access  Private
+ */
+router.post('/logout-all', authenticate, authController.logoutAll);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (devices) of the current user
+ * @access  Private
+ */
+router.get('/sessions', authenticate, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    Revoke a session, logging that device out
+ * @access  Private
+ */
+router.delete(
+  '/sessions/:id',
+  authenticate,
+  validate(idParamSchema, 'params'),
+  authController.revokeSession
+);
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a single-use password reset link
+ * @access  Public
+ */
+router.post(
+  '/forgot-password',
+  authLimiter,
+  validate(forgotPasswordSchema),
+  authController.forgotPassword
+);
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password using a reset token (logs out all devices)
+ * @access  Public
+ */
+router.post(
+  '/reset-password',
+  authLimiter,
+  validate(resetPasswordSchema),
+  authController.resetPassword
+);
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Verify email address using the emailed token
+ * @access  Public
+ */
+router.post(
+  '/verify-email',
+  authLimiter,
+  validate(verifyEmailSchema),
+  authController.verifyEmail
+);
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Resend the email verification link
+ * @access  Private
+ */
+router.post(
+  '/resend-verification',
+  authLimiter,
+  authenticate,
+  authController.resendVerification
+);
+
+/**
+ * @route   POST /api/auth/change-password
+ * @desc    Change password (requires current password, logs out other devices)
+ * @access  Private
+ */
+router.post(
+  '/change-password',
+  authLimiter,
+  authenticate,
+  validate(changePasswordSchema),
+  authController.changePassword
+);
+
+/**
+ * @route   POST /api/auth/change-email
+ * @desc    Request an email change; sends a confirmation link to the new address
+ * @access  Private
+ */
+router.post(
+  '/change-email',
+  authLimiter,
+  authenticate,
+  validate(changeEmailSchema),
+  authController.changeEmail
+);
+
+/**
+ * @route   POST /api/auth/change-email/confirm
+ * @desc    Confirm the new address and swap the account email
+ * @access  Public
+ */
+router.post(
+  '/change-email/confirm',
+  authLimiter,
+  validate(verifyEmailSchema),
+  authController.confirmEmailChange
+);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current authenticated user
@@ -1,52 +1,63 @@
 /**
  * Meal Routes
  * Handles meal CRUD and food image analysis
+ * Food quantities are read and returned in the user's units (useUserUnits)
  */
 
 const express = require('express');
 const router = express.Router();
 
 const mealController = require('../controllers/meal.controller');
-const { authenticate, requireOnboarding } = require('../middlewares/auth.middleware');
+const { authenticate, allowApiKey, requireOnboarding } = require('../middlewares/auth.middleware');
 const { validate } = require('../middlewares/validate.middleware');
 const { handleUpload } = require('../middlewares/upload.middleware');
+const { useUserUnits } = require('../middlewares/units.middleware');
 const { createMealSchema, updateMealSchema, idParamSchema } = require('../utils/validators');
 
-// All meal routes require authentication and onboarding
+// All meal routes require authentication (JWT or a scoped API key) and onboarding
+router.use(allowApiKey({ read: 'meals:read', write: 'meals:write' }));
 router.use(authenticate);
 router.use(requireOnboarding);
 
-router.get('/today', mealController.getTodaysMeals);
+/**
+ * @route   GET /api/meals/today
+ * @desc    Get today's meals for the authenticated user
+ * @access  Private
+ */
+router.get('/today', useUserUnits, mealController.getTodaysMeals);
 
 /**
  * @route   GET /api/meals/previous
  * @desc    Get unique previous meals for the authenticated user
  * @access  Private
  */
-router.get('/previous', mealController.getPreviousMeals);
+router.get('/previous', useUserUnits, mealController.getPreviousMeals);
 
 /**
  * @route   POST /api/meals/analyze
  * @desc    Analyze food image with Gemini AI
  * @access  Private
+ * useUserUnits runs after handleUpload so the multipart body is parsed before it is converted
  */
-router.post('/analyze', handleUpload, mealController.analyzeFood);
+router.post('/analyze', handleUpload, useUserUnits, mealController.analyzeFood);
 
 /**
  * @route   POST /api/meals/quick-log
  * @desc    Quick log meal from analysis result
  * @access  Private
  */
-router.post('/quick-log', mealController.quickLogMeal);
+router.post('/quick-log', useUserUnits, mealController.quickLogMeal);
 
 /**
  * @route   POST /api/meals
  * @desc    Create a new meal entry
  * @access  Private
+ * useUserUnits runs after handleUpload so the multipart body is parsed before it is converted
  */
 router.post(
   '/',
   handleUpload,
+  useUserUnits,
   validate(createMealSchema),
   mealController.createMeal
 );
@@ -56,7 +67,7 @@ router.post(
  * @desc    Get all meals for the authenticated user (with pagination)
  * @access  Private
  */
-router.get('/', mealController.getMeals);
+router.get('/', useUserUnits, mealController.getMeals);
 
 /**
  * @route   GET /api/meals/:id
@@ -66,6 +77,7 @@ router.get('/', mealController.getMeals);
 router.get(
   '/:id',
   validate(idParamSchema, 'params'),
+  useUserUnits,
   mealController.getMealById
 );
 
@@ -73,11 +85,13 @@ router.get(
  * @route   PUT /api/meals/:id
  * @desc    Update a meal by ID
  * @access  Private
+ * useUserUnits runs after handleUpload so the multipart body is parsed before it is converted
  */
 router.put(
   '/:id',
   validate(idParamSchema, 'params'),
   handleUpload,
+  useUserUnits,
   validate(updateMealSchema),
   mealController.updateMeal
 );
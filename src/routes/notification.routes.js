@@ -7,17 +7,17 @@ const express = require('express');
 const router = express.Router();
 
 const notificationController = require('../controllers/notification.controller');
-const { authenticate } = require('../middlewares/auth.middleware');
+const { authenticate, authorize } = require('../middlewares/auth.middleware');
 
 // All notification routes require authentication
 router.use(authenticate);
 
 /**
  * @route   POST /api/notifications
- * @desc    Create and send a manual notification
- * @access  Private
+ * @desc    Create and send a manual notification to yourself (for testing delivery)
+ * @access  Admin
  */
-router.post('/', notificationController.createNotification);
+router.post('/', authorize('admin'), notificationController.createNotification);
 
 /**
  * @route   GET /api/notifications
@@ -1,22 +1,39 @@
 /**
  * User Routes
- * Handles user profile and onboarding
+ * Handles user profile, onboarding, goal history, weight and measurement logs, API keys, data export
+ * and account deletion
  */
 
 const express = require('express');
 const router = express.Router();
 
 const userController = require('../controllers/user.controller');
+const weightController = require('../controllers/weight.controller');
+const measurementController = require('../controllers/measurement.controller');
 const { authenticate, requireOnboarding } = require('../middlewares/auth.middleware');
 const { validate } = require('../middlewares/validate.middleware');
-const { onboardingSchema, updateProfileSchema } = require('../utils/validators');
+const { useUserUnits } = require('../middlewares/units.middleware');
+const {
+  onboardingSchema,
+  updateProfileSchema,
+  oauthProviderParamSchema,
+  oauthLoginSchema,
+  deleteAccountSchema,
+  createApiKeySchema,
+  weightEntrySchema,
+  updateWeightEntrySchema,
+  measurementSchema,
+  updateMeasurementSchema,
+  dateRangeSchema,
+  idParamSchema,
+} = require('../utils/validators');
 
 /**
  * @route   GET /api/users/profile
  * @desc    Get current user's profile
  * @access  Private
  */
-router.get('/profile', authenticate, userController.getProfile);
+router.get('/profile', authenticate, useUserUnits, userController.getProfile);
 
 /**
  * @route   PUT /api/users/profile
@@ -26,6 +43,7 @@ router.get('/profile', authenticate, userController.getProfile);
 router.put(
   '/profile',
   authenticate,
+  useUserUnits,
   validate(updateProfileSchema),
   userController.updateProfile
 );
@@ -38,10 +56,31 @@ router.put(
 router.post(
   '/onboarding',
   authenticate,
+  useUserUnits,
   validate(onboardingSchema),
   userController.completeOnboarding
 );
 
+/**
+ * @route   GET /api/users/goal-history
+ * @desc    Get past calorie and macro goals with the date each took effect
+ * @access  Private
+ */
+router.get('/goal-history', authenticate, userController.getGoalHistory);
+
+/**
+ * @route   GET /api/users/tdee
+ * @desc    Get the formula TDEE and the TDEE estimated from logged intake and weight trend
+ * @access  Private (requires onboarding)
+ */
+router.get(
+  '/tdee',
+  authenticate,
+  requireOnboarding,
+  useUserUnits,
+  userController.getTdee
+);
+
 /**
  * @route   GET /api/users/stats
  * @desc    Get user statistics (total meals, days tracked, etc.)
@@ -54,6 +93,113 @@ router.get(
   userController.getUserStats
 );
 
+/**
+ * @route   GET /api/users/weight
+ * @desc    Get weight history with trend weight and weekly rate (?startDate=&endDate=)
+ * @access  Private
+ */
+router.get(
+  '/weight',
+  authenticate,
+  useUserUnits,
+  validate(dateRangeSchema, 'query'),
+  weightController.getWeightHistory
+);
+
+/**
+ * @route   POST /api/users/weight
+ * @desc    Log a weigh-in (updates the profile weight if it is the latest)
+ * @access  Private
+ */
+router.post(
+  '/weight',
+  authenticate,
+  useUserUnits,
+  validate(weightEntrySchema),
+  weightController.addWeightEntry
+);
+
+/**
+ * @route   PUT /api/users/weight/:id
+ * @desc    Update a weigh-in
+ * @access  Private
+ */
+router.put(
+  '/weight/:id',
+  authenticate,
+  useUserUnits,
+  validate(idParamSchema, 'params'),
+  validate(updateWeightEntrySchema),
+  weightController.updateWeightEntry
+);
+
+/**
+ * @route   DELETE /api/users/weight/:id
+ * @desc    Delete a weigh-in
+ * @access  Private
+ */
+router.delete(
+  '/weight/:id',
+  authenticate,
+  useUserUnits,
+  validate(idParamSchema, 'params'),
+  weightController.deleteWeightEntry
+);
+
+/**
+ * @route   GET /api/users/measurements
+ * @desc    Get body measurement history with waist-to-height ratio, estimated body fat
+ *          and lean mass (?startDate=&endDate=)
+ * @access  Private
+ */
+router.get(
+  '/measurements',
+  authenticate,
+  useUserUnits,
+  validate(dateRangeSchema, 'query'),
+  measurementController.getMeasurementHistory
+);
+
+/**
+ * @route   POST /api/users/measurements
+ * @desc    Log body measurements (updates the profile body fat if it is the latest)
+ * @access  Private
+ */
+router.post(
+  '/measurements',
+  authenticate,
+  useUserUnits,
+  validate(measurementSchema),
+  measurementController.addMeasurement
+);
+
+/**
+ * @route   PUT /api/users/measurements/:id
+ * @desc    Update a measurement entry
+ * @access  Private
+ */
+router.put(
+  '/measurements/:id',
+  authenticate,
+  useUserUnits,
+  validate(idParamSchema, 'params'),
+  validate(updateMeasurementSchema),
+  measurementController.updateMeasurement
+);
+
+/**
+ * @route   DELETE /api/users/measurements/:id
+ * @desc    Delete a measurement entry
+ * @access  Private
+ */
+router.delete(
+  '/measurements/:id',
+  authenticate,
+  useUserUnits,
+  validate(idParamSchema, 'params'),
+  measurementController.deleteMeasurement
+);
+
 /**
  * @route   PATCH /api/users/fcm-token
  * @desc    Update user's FCM token for push notifications
@@ -61,4 +207,86 @@ router.get(
  */
 router.patch('/fcm-token', authenticate, userController.updateFcmToken);
 
+/**
+ * @route   GET /api/users/oauth
+ * @desc    List social login providers linked to the account
+ * @access  Private
+ */
+router.get('/oauth', authenticate, userController.getLinkedProviders);
+
+/**
+ * @route   POST /api/users/oauth/:provider
+ * @desc    Link a Google / Apple account using its ID token
+ * @access  Private
+ */
+router.post(
+  '/oauth/:provider',
+  authenticate,
+  validate(oauthProviderParamSchema, 'params'),
+  validate(oauthLoginSchema),
+  userController.linkProvider
+);
+
+/**
+ * @route   DELETE /api/users/oauth/:provider
+ * @desc    Unlink a social login provider
+ * @access  Private
+ */
+router.delete(
+  '/oauth/:provider',
+  authenticate,
+  validate(oauthProviderParamSchema, 'params'),
+  userController.unlinkProvider
+);
+
+/**
+ * @route   GET /api/users/api-keys
+ * @desc    List the user's API keys
+ * @access  Private
+ */
+router.get('/api-keys', authenticate, userController.getApiKeys);
+
+/**
+ * @route   POST /api/users/api-keys
+ * @desc    Create a scoped API key for scripts and integrations
+ * @access  Private
+ */
+router.post(
+  '/api-keys',
+  authenticate,
+  validate(createApiKeySchema),
+  userController.createApiKey
+);
+
+/**
+ * @route   DELETE /api/users/api-keys/:id
+ * @desc    Revoke an API key
+ * @access  Private
+ */
+router.delete(
+  '/api-keys/:id',
+  authenticate,
+  validate(idParamSchema, 'params'),
+  userController.revokeApiKey
+);
+
+/**
+ * @route   GET /api/users/export
+ * @desc    Download all of the user's data as a JSON file
+ * @access  Private
+ */
+router.get('/export', authenticate, userController.exportData);
+
+/**
+ * @route   DELETE /api/users/me
+ * @desc    Schedule account deletion (cancelled by logging in during the grace period)
+ * @access  Private
+ */
+router.delete(
+  '/me',
+  authenticate,
+  validate(deleteAccountSchema),
+  userController.deleteAccount
+);
+
 module.exports = router;
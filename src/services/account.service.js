@@ -0,0 +1,302 @@
+/**
+ * Account Service
+ * Handles credential changes, account recovery and email verification
+ * flows built on single-use emailed tokens
+ */
+
+const { prisma } = require("../config/database");
+const { hashPassword, generateSecureToken, hashToken } = require("./auth.service");
+const sessionService = require("./session.service");
+const mailService = require("./mail.service");
+
+/**
+ * Lifetime of a password reset token
+ */
+const PASSWORD_RESET_EXPIRES_MINUTES = 60;
+
+/**
+ * Lifetime of an email verification token
+ */
+const EMAIL_VERIFICATION_EXPIRES_HOURS = 24;
+
+/**
+ * What an EmailVerificationToken proves when consumed
+ */
+const EMAIL_TOKEN_PURPOSES = {
+  VERIFY_EMAIL: "VERIFY_EMAIL",
+  CHANGE_EMAIL: "CHANGE_EMAIL",
+};
+
+/**
+ * Start a password reset for an email address
+ * Does nothing for unknown addresses so callers cannot probe which emails exist
+ * @param {string} email - Account email
+ * @returns {Promise<void>}
+ */
+const requestPasswordReset = async (email) => {
+  const user = await prisma.user.findUnique({
+    where: { email: email.toLowerCase() },
+    select: { id: true, email: true, name: true },
+  });
+
+  if (!user) {
+    return;
+  }
+
+  const token = generateSecureToken();
+
+  // Only the most recently emailed link stays valid
+  await prisma.$transaction([
+    prisma.passwordResetToken.updateMany({
+      where: { userId: user.id, usedAt: null },
+      data: { usedAt: new Date() },
+    }),
+    prisma.passwordResetToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000),
+      },
+    }),
+  ]);
+
+  await mailService.sendPasswordResetEmail(user, token, PASSWORD_RESET_EXPIRES_MINUTES);
+};
+
+/**
+ * Complete a password reset
+ * Consumes the token, sets the new password and logs out every device
+ * @param {string} token - Raw token from the email
+ * @param {string} newPassword - New plain text password
+ * @returns {Promise<boolean>} - False if the token is invalid, used or expired
+ */
+const resetPassword = async (token, newPassword) => {
+  const resetToken = await prisma.passwordResetToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!resetToken || resetToken.usedAt || resetToken.expiresAt <= new Date()) {
+    return false;
+  }
+
+  const hashedPassword = await hashPassword(newPassword);
+
+  // Mark as used conditionally so two concurrent requests cannot both succeed
+  const consumed = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.passwordResetToken.updateMany({
+      where: { id: resetToken.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return false;
+    }
+
+    // Proving ownership of the email also lifts any login lockout
+    await tx.user.update({
+      where: { id: resetToken.userId },
+      data: {
+        password: hashedPassword,
+        failedLoginAttempts: 0,
+        lastFailedLoginAt: null,
+        lockedUntil: null,
+        lockoutCount: 0,
+      },
+    });
+
+    return true;
+  });
+
+  if (consumed) {
+    await sessionService.revokeAllSessions(resetToken.userId);
+  }
+
+  return consumed;
+};
+
+/**
+ * Create an email token, invalidating earlier unused tokens with the same purpose
+ * @param {string} userId - User ID
+ * @param {string} email - Address the token will be sent to
+ * @param {string} purpose - One of EMAIL_TOKEN_PURPOSES
+ * @returns {Promise<string>} - Raw token to email
+ */
+const issueEmailToken = async (userId, email, purpose) => {
+  const token = generateSecureToken();
+
+  await prisma.$transaction([
+    prisma.emailVerificationToken.updateMany({
+      where: { userId, purpose, usedAt: null },
+      data: { usedAt: new Date() },
+    }),
+    prisma.emailVerificationToken.create({
+      data: {
+        userId,
+        email,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_EXPIRES_HOURS * 60 * 60 * 1000),
+      },
+    }),
+  ]);
+
+  return token;
+};
+
+/**
+ * Look up an unused, unexpired email token
+ * @param {string} token - Raw token from the email
+ * @param {string} purpose - Expected purpose
+ * @returns {Promise<Object|null>} - Token row with the user's current email/name
+ */
+const findValidEmailToken = async (token, purpose) => {
+  const emailToken = await prisma.emailVerificationToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { user: { select: { email: true, name: true } } },
+  });
+
+  if (
+    !emailToken ||
+    emailToken.purpose !== purpose ||
+    emailToken.usedAt ||
+    emailToken.expiresAt <= new Date()
+  ) {
+    return null;
+  }
+
+  return emailToken;
+};
+
+/**
+ * Email a verification link for the user's current address
+ * Any previously sent links are invalidated
+ * @param {Object} user - User ({ id, email, name })
+ * @returns {Promise<void>}
+ */
+const sendEmailVerification = async (user) => {
+  const token = await issueEmailToken(user.id, user.email, EMAIL_TOKEN_PURPOSES.VERIFY_EMAIL);
+
+  await mailService.sendEmailVerificationEmail(user, token, EMAIL_VERIFICATION_EXPIRES_HOURS);
+};
+
+/**
+ * Mark an email address as verified using an emailed token
+ * @param {string} token - Raw token from the email
+ * @returns {Promise<Object|null>} - Verified user, or null if the token is invalid
+ */
+const verifyEmail = async (token) => {
+  const verification = await findValidEmailToken(token, EMAIL_TOKEN_PURPOSES.VERIFY_EMAIL);
+
+  // The link only proves ownership of the address it was sent to
+  if (!verification || verification.email !== verification.user.email) {
+    return null;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const { count } = await tx.emailVerificationToken.updateMany({
+      where: { id: verification.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    return tx.user.update({
+      where: { id: verification.userId },
+      data: { emailVerified: true },
+      select: { id: true, email: true, emailVerified: true },
+    });
+  });
+};
+
+/**
+ * Change a user's password
+ * Every other session is logged out; the session making the change stays active
+ * @param {string} userId - User ID
+ * @param {string} newPassword - New plain text password
+ * @param {string} currentSessionId - Session to keep
+ * @returns {Promise<void>}
+ */
+const changePassword = async (userId, newPassword, currentSessionId) => {
+  const hashedPassword = await hashPassword(newPassword);
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { password: hashedPassword },
+  });
+
+  await sessionService.revokeAllSessions(userId, { exceptSessionId: currentSessionId });
+};
+
+/**
+ * Start an email change by sending a confirmation link to the new address
+ * The account keeps its current email until the link is used
+ * @param {Object} user - User ({ id, name })
+ * @param {string} newEmail - Requested address (already lower-cased)
+ * @returns {Promise<void>}
+ */
+const requestEmailChange = async (user, newEmail) => {
+  const token = await issueEmailToken(user.id, newEmail, EMAIL_TOKEN_PURPOSES.CHANGE_EMAIL);
+
+  await mailService.sendEmailChangeConfirmationEmail(
+    { email: newEmail, name: user.name },
+    token,
+    EMAIL_VERIFICATION_EXPIRES_HOURS
+  );
+};
+
+/**
+ * Complete an email change using the token sent to the new address
+ * Throws Prisma P2002 if the address was taken since the change was requested
+ * @param {string} token - Raw token from the email
+ * @returns {Promise<Object|null>} - Updated user, or null if the token is invalid
+ */
+const confirmEmailChange = async (token) => {
+  const change = await findValidEmailToken(token, EMAIL_TOKEN_PURPOSES.CHANGE_EMAIL);
+
+  if (!change) {
+    return null;
+  }
+
+  const updatedUser = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.emailVerificationToken.updateMany({
+      where: { id: change.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    // Links sent to the old address no longer prove anything
+    await tx.emailVerificationToken.updateMany({
+      where: { userId: change.userId, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    return tx.user.update({
+      where: { id: change.userId },
+      data: { email: change.email, emailVerified: true },
+      select: { id: true, email: true, emailVerified: true },
+    });
+  });
+
+  if (updatedUser) {
+    mailService
+      .sendEmailChangedNotice(change.user, change.email)
+      .catch((err) => console.error("Failed to send email change notice:", err));
+  }
+
+  return updatedUser;
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+  sendEmailVerification,
+  verifyEmail,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+};
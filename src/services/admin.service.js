@@ -0,0 +1,148 @@
+/**
+ * Admin Service
+ * Business logic for administrative user management
+ */
+
+const { prisma } = require("../config/database");
+const { PAGINATION } = require("../utils/constants");
+const sessionService = require("./session.service");
+
+/**
+ * Fields admins see for each user (no secrets)
+ */
+const adminUserSelect = {
+  id: true,
+  email: true,
+  emailVerified: true,
+  name: true,
+  role: true,
+  isOnboarded: true,
+  twoFactorEnabled: true,
+  disabledAt: true,
+  lockedUntil: true,
+  deletionScheduledAt: true,
+  createdAt: true,
+};
+
+/**
+ * List users with search and pagination
+ * @param {Object} options - Query options
+ * @param {number} [options.page=1] - Page number
+ * @param {number} [options.limit=10] - Items per page
+ * @param {string} [options.search] - Matches email or name (case-insensitive)
+ * @param {string} [options.role] - Filter by role
+ * @param {boolean} [options.disabled] - Filter by disabled state
+ * @returns {Promise<Object>} - Paginated users
+ */
+const listUsers = async (options = {}) => {
+  const page = Math.max(1, options.page || PAGINATION.DEFAULT_PAGE);
+  const limit = Math.min(
+    Math.max(1, options.limit || PAGINATION.DEFAULT_LIMIT),
+    PAGINATION.MAX_LIMIT,
+  );
+  const skip = (page - 1) * limit;
+
+  const where = {};
+
+  if (options.search) {
+    where.OR = [
+      { email: { contains: options.search, mode: "insensitive" } },
+      { name: { contains: options.search, mode: "insensitive" } },
+    ];
+  }
+
+  if (options.role) {
+    where.role = options.role;
+  }
+
+  if (options.disabled !== undefined) {
+    where.disabledAt = options.disabled ? { not: null } : null;
+  }
+
+  const [total, users] = await Promise.all([
+    prisma.user.count({ where }),
+    prisma.user.findMany({
+      where,
+      select: adminUserSelect,
+      orderBy: { createdAt: "desc" },
+      skip,
+      take: limit,
+    }),
+  ]);
+
+  return {
+    users,
+    total,
+    page,
+    limit,
+  };
+};
+
+/**
+ * Get a single user with activity counts
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - User or null if not found
+ */
+const getUser = async (userId) => {
+  return prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      ...adminUserSelect,
+      _count: {
+        select: { meals: true, sessions: true, geminiUsage: true },
+      },
+    },
+  });
+};
+
+/**
+ * Change a user's role
+ * @param {string} userId - User ID
+ * @param {string} role - New role
+ * @returns {Promise<Object>} - Updated user
+ */
+const setUserRole = async (userId, role) => {
+  return prisma.user.update({
+    where: { id: userId },
+    data: { role },
+    select: adminUserSelect,
+  });
+};
+
+/**
+ * Disable a user's account and log out every device
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Updated user
+ */
+const disableUser = async (userId) => {
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { disabledAt: new Date() },
+    select: adminUserSelect,
+  });
+
+  await sessionService.revokeAllSessions(userId);
+
+  return user;
+};
+
+/**
+ * Re-enable a disabled account
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Updated user
+ */
+const enableUser = async (userId) => {
+  return prisma.user.update({
+    where: { id: userId },
+    data: { disabledAt: null },
+    select: adminUserSelect,
+  });
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  setUserRole,
+  disableUser,
+  enableUser,
+};
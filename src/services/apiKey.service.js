@@ -0,0 +1,176 @@
+/**
+ * API Key Service
+ * Handles personal API keys used by scripts and third-party integrations
+ */
+
+const { prisma } = require("../config/database");
+const { generateSecureToken, hashToken } = require("./auth.service");
+
+/**
+ * Prefix that marks a string as one of our API keys
+ */
+const API_KEY_PREFIX = "ct_";
+
+/**
+ * Maximum number of active keys per user
+ */
+const MAX_ACTIVE_API_KEYS = 10;
+
+/**
+ * How often requests refresh a key's last-used timestamp
+ */
+const LAST_USED_THROTTLE_MS = 5 * 60 * 1000;
+
+/**
+ * Fields returned when listing keys (never the hash)
+ */
+const apiKeySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  lastUsedAt: true,
+  expiresAt: true,
+  createdAt: true,
+};
+
+/**
+ * Prisma filter for keys that can still be used
+ * @returns {Object}
+ */
+const activeApiKeyWhere = () => ({
+  revokedAt: null,
+  OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+});
+
+/**
+ * Count a user's usable keys
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+const countActiveApiKeys = async (userId) => {
+  return prisma.apiKey.count({
+    where: { userId, ...activeApiKeyWhere() },
+  });
+};
+
+/**
+ * Create a new API key
+ * @param {string} userId - User ID
+ * @param {Object} data - Key data
+ * @param {string} data.name - Label chosen by the user
+ * @param {Array<string>} data.scopes - Granted scopes
+ * @param {number} [data.expiresInDays] - Lifetime; keys without one never expire
+ * @returns {Promise<Object>} - { apiKey, key } where key is the plain key (shown once)
+ */
+const createApiKey = async (userId, { name, scopes, expiresInDays }) => {
+  const key = `${API_KEY_PREFIX}${generateSecureToken()}`;
+
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      userId,
+      name,
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      keyHash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+        : null,
+    },
+    select: apiKeySelect,
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * List a user's usable keys
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Keys, newest first
+ */
+const listApiKeys = async (userId) => {
+  return prisma.apiKey.findMany({
+    where: { userId, ...activeApiKeyWhere() },
+    select: apiKeySelect,
+    orderBy: { createdAt: "desc" },
+  });
+};
+
+/**
+ * Revoke one of a user's keys
+ * @param {string} apiKeyId - Key ID
+ * @param {string} userId - Owner (for security)
+ * @returns {Promise<boolean>} - False if no active key matched
+ */
+const revokeApiKey = async (apiKeyId, userId) => {
+  const { count } = await prisma.apiKey.updateMany({
+    where: { id: apiKeyId, userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  return count > 0;
+};
+
+/**
+ * Revoke every key of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Update result ({ count })
+ */
+const revokeAllApiKeys = async (userId) => {
+  return prisma.apiKey.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+};
+
+/**
+ * Look up a usable key from the raw value sent by a client
+ * @param {string} key - Raw API key
+ * @returns {Promise<Object|null>} - Key row or null if unknown, revoked or expired
+ */
+const findActiveApiKey = async (key) => {
+  if (!key.startsWith(API_KEY_PREFIX)) {
+    return null;
+  }
+
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashToken(key) },
+  });
+
+  if (
+    !apiKey ||
+    apiKey.revokedAt ||
+    (apiKey.expiresAt && apiKey.expiresAt <= new Date())
+  ) {
+    return null;
+  }
+
+  return apiKey;
+};
+
+/**
+ * Record use of a key, at most once per throttle window
+ * @param {Object} apiKey - Key loaded by findActiveApiKey
+ * @returns {Promise<void>}
+ */
+const touchApiKey = async (apiKey) => {
+  if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_THROTTLE_MS) {
+    return;
+  }
+
+  await prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: { lastUsedAt: new Date() },
+  });
+};
+
+module.exports = {
+  MAX_ACTIVE_API_KEYS,
+  countActiveApiKeys,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  revokeAllApiKeys,
+  findActiveApiKey,
+  touchApiKey,
+};
@@ -1,12 +1,16 @@
 /**
  * Authentication Service
- * Handles password hashing and JWT token operations
+ * Handles password hashing, JWT access tokens and opaque refresh tokens
  */
 
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
 const SALT_ROUNDS = 10;
+const SECURE_TOKEN_BYTES = 48;
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa_challenge';
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
 
 /**
  * Hash a plain text password
@@ -20,23 +24,29 @@ const hashPassword = async (password) => {
 /**
  * Compare a plain text password with a hashed password
  * @param {string} password - Plain text password
- * @param {string} hashedPassword - Hashed password from database
+ * @param {string|null} hashedPassword - Hashed password from database (null for social-only accounts)
  * @returns {Promise<boolean>} - Whether passwords match
  */
 const comparePassword = async (password, hashedPassword) => {
+  if (!hashedPassword) {
+    return false;
+  }
   return bcrypt.compare(password, hashedPassword);
 };
 
 /**
- * Generate a JWT token for a user
+ * Generate a short-lived JWT access token for a user
  * @param {Object} payload - Data to encode in the token
  * @param {string} payload.userId - User's unique ID
  * @param {string} payload.email - User's email
+ * @param {string} payload.sessionId - Session the token belongs to
+ * @param {Object} [options]
+ * @param {string} [options.expiresIn] - Override the configured lifetime
  * @returns {string} - JWT token
  */
-const generateToken = (payload) => {
+const generateToken = (payload, options = {}) => {
   const secret = process.env.JWT_SECRET;
-  const expiresIn = process.env.JWT_EXPIRES_IN || '7d';
+  const expiresIn = options.expiresIn || process.env.JWT_EXPIRES_IN || '15m';
 
   if (!secret) {
     throw new Error('JWT_SECRET is not configured');
@@ -61,6 +71,62 @@ const verifyToken = (token) => {
   return jwt.verify(token, secret);
 };
 
+/**
+ * Generate a short-lived token proving the password step of a 2FA login succeeded
+ * It carries no session, so authenticate() never accepts it as an access token
+ * @param {string} userId - User's unique ID
+ * @param {string} challengeId - Challenge stored on the user (single use)
+ * @returns {string} - JWT challenge token
+ */
+const generateChallengeToken = (userId, challengeId) => {
+  return generateToken(
+    { userId, challengeId, purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+  );
+};
+
+/**
+ * Verify a 2FA challenge token
+ * @param {string} token - Challenge token from the login response
+ * @returns {Object|null} - Decoded payload or null if invalid/expired
+ */
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = verifyToken(token);
+    return decoded.purpose === TWO_FACTOR_CHALLENGE_PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Generate an opaque random token (refresh tokens, emailed links)
+ * Only its hash is ever stored, so the raw value must be handed out once
+ * @returns {string} - URL-safe random token
+ */
+const generateSecureToken = () => {
+  return crypto.randomBytes(SECURE_TOKEN_BYTES).toString('base64url');
+};
+
+/**
+ * Hash an opaque token for storage and lookup
+ * SHA-256 is sufficient here because the tokens are high-entropy random values
+ * @param {string} token - Raw token
+ * @returns {string} - Hex-encoded hash
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Get the expiry date for a newly issued refresh token
+ * @returns {Date}
+ */
+const getRefreshTokenExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
 /**
  * Extract token from Authorization header
  * @param {string} authHeader - Authorization header value
@@ -84,5 +150,10 @@ module.exports = {
   comparePassword,
   generateToken,
   verifyToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateSecureToken,
+  hashToken,
+  getRefreshTokenExpiry,
   extractTokenFromHeader,
 };
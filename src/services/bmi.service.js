@@ -1,8 +1,69 @@
 /**
  * BMI and Calorie Calculation Service
- * Implements BMI formula and Harris-Benedict equation for calorie goals
+ * Implements BMI formula and selectable BMR equations for calorie goals,
+ * plus target weight plans that set the daily deficit/surplus and an
+ * energy-balance TDEE estimate from logged intake and weight change
  */
 
+const { METABOLIC_SEXES, LIFE_STAGES } = require("../utils/constants");
+
+/**
+ * BMR equation used when the user hasn't chosen one and their body fat isn't known
+ */
+const DEFAULT_BMR_FORMULA = "harris_benedict";
+
+/**
+ * Metabolic sex used when none is known
+ */
+const DEFAULT_METABOLIC_SEX = "average";
+
+/**
+ * Daily calorie offset for each goal when there is no target weight plan
+ */
+const GOAL_CALORIE_OFFSETS = {
+  lose: -400,
+  maintain: 0,
+  gain: 500,
+};
+
+/**
+ * Energy in one kg of body weight change (kcal)
+ */
+const KCAL_PER_KG = 7700;
+
+/**
+ * Safe rate limits (kg per week)
+ * Loss is capped at 1% of body weight per week, and never more than 1 kg
+ */
+const MAX_LOSS_PERCENT_PER_WEEK = 0.01;
+const MAX_LOSS_KG_PER_WEEK = 1;
+const MAX_GAIN_KG_PER_WEEK = 0.5;
+
+/**
+ * Lowest daily calorie goal a plan may set, by metabolic sex
+ */
+const MIN_DAILY_CALORIES = {
+  male: 1500,
+  female: 1200,
+  average: 1350,
+};
+
+/**
+ * A target within this distance of the current weight counts as maintaining (kg)
+ */
+const TARGET_REACHED_TOLERANCE_KG = 0.5;
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Energy per gram of each macronutrient (kcal)
+ */
+const KCAL_PER_GRAM = {
+  protein: 4,
+  carbs: 4,
+  fats: 9,
+};
+
 /**
  * Calculate BMI (Body Mass Index)
  * Formula: BMI = weight (kg) / (height (m))²
@@ -41,19 +102,168 @@ const getBMICategory = (bmi) => {
 };
 
 /**
- * Calculate Basal Metabolic Rate (BMR) using Harris-Benedict equation
- * 
- * Men: BMR = 66.47 + (13.75 × weight) + (5.003 × height) - (6.755 × age)
- * Women: BMR = 655.1 + (9.563 × weight) + (1.850 × height) - (4.676 × age)
- * 
+ * Calculate waist-to-height ratio
+ * A better signal than BMI for muscular users, as it tracks abdominal fat
+ *
+ * @param {number} waist - Waist in centimeters
+ * @param {number} height - Height in centimeters
+ * @returns {number|null} - Ratio rounded to 2 decimal places
+ */
+const calculateWaistToHeightRatio = (waist, height) => {
+  if (!waist || !height || waist <= 0 || height <= 0) {
+    return null;
+  }
+
+  return Math.round((waist / height) * 100) / 100;
+};
+
+/**
+ * Get waist-to-height category (under 0.5 is the usual healthy threshold)
+ * @param {number} ratio - Waist-to-height ratio
+ * @returns {string} - Category
+ */
+const getWaistToHeightCategory = (ratio) => {
+  if (!ratio || ratio <= 0) return 'Unknown';
+
+  if (ratio < 0.4) return 'Low';
+  if (ratio < 0.5) return 'Healthy';
+  if (ratio < 0.6) return 'Increased risk';
+  return 'High risk';
+};
+
+/**
+ * Calculate waist-to-hip ratio
+ * @param {number} waist - Waist in centimeters
+ * @param {number} hip - Hip in centimeters
+ * @returns {number|null} - Ratio rounded to 2 decimal places
+ */
+const calculateWaistToHipRatio = (waist, hip) => {
+  if (!waist || !hip || waist <= 0 || hip <= 0) {
+    return null;
+  }
+
+  return Math.round((waist / hip) * 100) / 100;
+};
+
+/**
+ * Estimate body fat with the US Navy circumference method (Hodgdon & Beckett)
+ *   Men: %BF = 495 / (1.0324 - 0.19077 × log10(waist - neck) + 0.15456 × log10(height)) - 450
+ *   Women: %BF = 495 / (1.29579 - 0.35004 × log10(waist + hip - neck) + 0.22100 × log10(height)) - 450
+ * 'average' is the mean of both, so it needs the hip measurement too
+ *
+ * @param {Object} measurements - Girths and height in centimeters ({ waist, neck, hip, height })
+ * @param {string} [metabolicSex] - 'male', 'female' or 'average' (the default)
+ * @returns {number|null} - Body fat in percent (1 decimal place), or null without the
+ *   measurements the equation needs
+ */
+const estimateNavyBodyFat = ({ waist, neck, hip, height }, metabolicSex) => {
+  if (!waist || !neck || !height) {
+    return null;
+  }
+
+  const sex = resolveMetabolicSex(metabolicSex);
+
+  if (sex === "average") {
+    const male = estimateNavyBodyFat({ waist, neck, hip, height }, "male");
+    const female = estimateNavyBodyFat({ waist, neck, hip, height }, "female");
+    return male && female ? Math.round(((male + female) / 2) * 10) / 10 : null;
+  }
+
+  let bodyFat;
+
+  if (sex === "male") {
+    if (waist <= neck) {
+      return null;
+    }
+    bodyFat = 495 / (1.0324 - 0.19077 * Math.log10(waist - neck) + 0.15456 * Math.log10(height)) - 450;
+  } else {
+    if (!hip || waist + hip <= neck) {
+      return null;
+    }
+    bodyFat = 495 / (1.29579 - 0.35004 * Math.log10(waist + hip - neck) + 0.221 * Math.log10(height)) - 450;
+  }
+
+  if (!Number.isFinite(bodyFat) || bodyFat <= 0) {
+    return null;
+  }
+
+  return Math.round(bodyFat * 10) / 10;
+};
+
+/**
+ * Calculate lean body mass
+ * @param {number} weight - Weight in kilograms
+ * @param {number} bodyFatPercentage - Body fat in percent
+ * @returns {number|null} - Lean mass in kg (1 decimal place)
+ */
+const calculateLeanBodyMass = (weight, bodyFatPercentage) => {
+  if (!weight || !bodyFatPercentage || weight <= 0 || bodyFatPercentage <= 0) {
+    return null;
+  }
+
+  return Math.round(weight * (1 - bodyFatPercentage / 100) * 10) / 10;
+};
+
+/**
+ * Work out which BMR equation applies
+ * Without a preferred formula, a known body fat picks Katch-McArdle so lean mass counts;
+ * Katch-McArdle needs a body-fat percentage and falls back to Mifflin-St Jeor without one
+ *
+ * @param {string|null} [formula] - Preferred formula (null picks automatically)
+ * @param {number} [bodyFatPercentage] - Body fat in percent
+ * @returns {string} - Formula that will be used
+ */
+const resolveBMRFormula = (formula = null, bodyFatPercentage = null) => {
+  if (!formula) {
+    return bodyFatPercentage ? "katch_mcardle" : DEFAULT_BMR_FORMULA;
+  }
+
+  if (formula === "katch_mcardle" && !bodyFatPercentage) {
+    return "mifflin_st_jeor";
+  }
+
+  return formula;
+};
+
+/**
+ * Work out which metabolic sex the equations use
+ * A missing or unrecognised value uses the blended 'average' equations instead of failing
+ *
+ * @param {string} [metabolicSex] - 'male', 'female' or 'average'
+ * @returns {string} - Metabolic sex that will be used
+ */
+const resolveMetabolicSex = (metabolicSex) => {
+  const sex = metabolicSex?.toLowerCase();
+  return METABOLIC_SEXES.includes(sex) ? sex : DEFAULT_METABOLIC_SEX;
+};
+
+/**
+ * Calculate Basal Metabolic Rate (BMR)
+ *
+ * Harris-Benedict (1919):
+ *   Men: BMR = 66.47 + (13.75 × weight) + (5.003 × height) - (6.755 × age)
+ *   Women: BMR = 655.1 + (9.563 × weight) + (1.850 × height) - (4.676 × age)
+ * Revised Harris-Benedict (Roza & Shizgal, 1984):
+ *   Men: BMR = 88.362 + (13.397 × weight) + (4.799 × height) - (5.677 × age)
+ *   Women: BMR = 447.593 + (9.247 × weight) + (3.098 × height) - (4.330 × age)
+ * Mifflin-St Jeor:
+ *   BMR = (10 × weight) + (6.25 × height) - (5 × age) + 5 (men) / - 161 (women)
+ * Katch-McArdle:
+ *   BMR = 370 + (21.6 × lean body mass), lean mass = weight × (1 - body fat %)
+ * 'average' is the mean of the male and female results of the chosen equation
+ *
  * @param {number} weight - Weight in kilograms
  * @param {number} height - Height in centimeters
  * @param {number} age - Age in years
- * @param {string} gender - 'male' or 'female'
- * @returns {number} - BMR value (calories per day at rest)
+ * @param {string} metabolicSex - 'male', 'female' or 'average'
+ * @param {Object} [options]
+ * @param {string} [options.formula] - 'harris_benedict', 'harris_benedict_revised',
+ *   'mifflin_st_jeor' or 'katch_mcardle' (see resolveBMRFormula when not set)
+ * @param {number} [options.bodyFatPercentage] - Body fat in percent (for Katch-McArdle)
+ * @returns {number|null} - BMR value (calories per day at rest), null for an unknown metabolic sex
  */
-const calculateBMR = (weight, height, age, gender) => {
-  if (!weight || !height || !age || !gender) {
+const calculateBMR = (weight, height, age, metabolicSex, { formula, bodyFatPercentage } = {}) => {
+  if (!weight || !height || !age || !metabolicSex) {
     return null;
   }
 
@@ -61,21 +271,63 @@ const calculateBMR = (weight, height, age, gender) => {
     return null;
   }
 
-  let bmr;
+  const sex = metabolicSex.toLowerCase();
+  if (sex === "average") {
+    const options = { formula, bodyFatPercentage };
+    const male = calculateBMR(weight, height, age, "male", options);
+    const female = calculateBMR(weight, height, age, "female", options);
+    return male && female ? Math.round((male + female) / 2) : null;
+  }
 
-  if (gender.toLowerCase() === 'male') {
-    // Harris-Benedict equation for men
-    bmr = 66.47 + (13.75 * weight) + (5.003 * height) - (6.755 * age);
-  } else if (gender.toLowerCase() === 'female') {
-    // Harris-Benedict equation for women
-    bmr = 655.1 + (9.563 * weight) + (1.850 * height) - (4.676 * age);
-  } else {
+  const isMale = sex === "male";
+  if (!isMale && sex !== "female") {
     return null;
   }
 
+  let bmr;
+
+  switch (resolveBMRFormula(formula, bodyFatPercentage)) {
+    case "harris_benedict_revised":
+      bmr = isMale
+        ? 88.362 + (13.397 * weight) + (4.799 * height) - (5.677 * age)
+        : 447.593 + (9.247 * weight) + (3.098 * height) - (4.330 * age);
+      break;
+    case "mifflin_st_jeor":
+      bmr = (10 * weight) + (6.25 * height) - (5 * age) + (isMale ? 5 : -161);
+      break;
+    case "katch_mcardle":
+      bmr = 370 + (21.6 * weight * (1 - bodyFatPercentage / 100));
+      break;
+    case "harris_benedict":
+      bmr = isMale
+        ? 66.47 + (13.75 * weight) + (5.003 * height) - (6.755 * age)
+        : 655.1 + (9.563 * weight) + (1.850 * height) - (4.676 * age);
+      break;
+    default:
+      return null;
+  }
+
   return Math.round(bmr);
 };
 
+/**
+ * Estimate total daily energy expenditure (TDEE) from energy balance
+ * TDEE = average intake - weekly weight change × 7700 / 7
+ * (losing weight means the body burned more than was eaten)
+ *
+ * @param {number} averageIntake - Average daily calories eaten
+ * @param {number} weeklyRate - Trend weight change in kg per week (negative when losing)
+ * @returns {number|null} - Calories per day rounded to 10, or null without data
+ */
+const estimateTdeeFromEnergyBalance = (averageIntake, weeklyRate) => {
+  if (!averageIntake || averageIntake <= 0 || weeklyRate === null || weeklyRate === undefined) {
+    return null;
+  }
+
+  const tdee = averageIntake - (weeklyRate * KCAL_PER_KG) / 7;
+  return tdee > 0 ? Math.round(tdee / 10) * 10 : null;
+};
+
 /**
  * Calculate daily calorie goal based on BMR and activity level
  * Daily Goal = BMR × activity level
@@ -90,54 +342,249 @@ const calculateBMR = (weight, height, age, gender) => {
  * @param {number} bmr - Basal Metabolic Rate
  * @param {number} activityLevel - Activity level multiplier
  * @param {string} goal - Fitness goal ('lose', 'gain', 'maintain')
+ * @param {number|null} [dailyAdjustment] - Deficit (negative) or surplus from a weight plan
+ * @param {number} [calorieAllowance] - Extra calories for a life stage (pregnancy, breastfeeding)
  * @returns {number} - Daily calorie goal
  */
-const calculateDailyCalorieGoal = (bmr, activityLevel, goal = "maintain") => {
+const calculateDailyCalorieGoal = (
+  bmr,
+  activityLevel,
+  goal = "maintain",
+  dailyAdjustment = null,
+  calorieAllowance = 0
+) => {
   if (!bmr || !activityLevel || bmr <= 0 || activityLevel <= 0) {
     return null;
   }
 
-  let dailyCalories = bmr * activityLevel;
+  let dailyCalories = bmr * activityLevel + calorieAllowance;
 
-  // Adjust based on goal
-  if (goal === "lose") {
-    dailyCalories -= 400;
-  } else if (goal === "gain") {
-    dailyCalories += 500;
+  // A target weight plan sets the exact deficit/surplus; otherwise use fixed offsets
+  if (dailyAdjustment !== null) {
+    dailyCalories += dailyAdjustment;
+  } else {
+    dailyCalories += GOAL_CALORIE_OFFSETS[goal] || 0;
   }
 
   return Math.round(dailyCalories);
 };
 
+/**
+ * Convert a macro split into daily gram goals
+ * Grams = calorie goal × share / kcal per gram
+ *
+ * @param {number} dailyCalorieGoal - Daily calorie goal
+ * @param {Object} split - Percent of calories ({ protein, carbs, fats }, sums to 100)
+ * @param {number} [reservedProtein=0] - Protein grams (a life stage's allowance) taken out of
+ *   the goal before the split and added back after, so the macros still add up to the goal
+ * @returns {Object|null} - Grams per day ({ protein, carbs, fats })
+ */
+const calculateMacroGoals = (dailyCalorieGoal, split, reservedProtein = 0) => {
+  if (!dailyCalorieGoal || dailyCalorieGoal <= 0 || !split) {
+    return null;
+  }
+
+  const splitCalories = dailyCalorieGoal - reservedProtein * KCAL_PER_GRAM.protein;
+
+  return {
+    protein: Math.round((splitCalories * split.protein) / 100 / KCAL_PER_GRAM.protein) + reservedProtein,
+    carbs: Math.round((splitCalories * split.carbs) / 100 / KCAL_PER_GRAM.carbs),
+    fats: Math.round((splitCalories * split.fats) / 100 / KCAL_PER_GRAM.fats),
+  };
+};
+
+/**
+ * Get the fastest safe weekly rate of change
+ * @param {number} weight - Current weight in kg
+ * @param {string} goal - 'lose' or 'gain'
+ * @returns {number} - kg per week
+ */
+const getMaxWeeklyRate = (weight, goal) => (goal === "lose"
+  ? Math.min(weight * MAX_LOSS_PERCENT_PER_WEEK, MAX_LOSS_KG_PER_WEEK)
+  : MAX_GAIN_KG_PER_WEEK);
+
+/**
+ * Work out the weekly rate and daily calorie adjustment needed to reach a target weight
+ * The pace comes from either a target date or a chosen weekly rate
+ *
+ * @param {Object} planData
+ * @param {number} planData.weight - Current weight in kg
+ * @param {number} planData.height - Height in cm
+ * @param {number} planData.targetWeight - Target weight in kg
+ * @param {Date} [planData.targetDate] - Date to reach the target by
+ * @param {number} [planData.targetWeeklyRate] - Desired change in kg per week
+ * @returns {Object} - { goal, weeklyRate, dailyCalorieAdjustment, projectedDate }
+ *   or { error } if the plan is not safe
+ */
+const calculateWeightPlan = ({ weight, height, targetWeight, targetDate, targetWeeklyRate }) => {
+  const difference = targetWeight - weight;
+
+  if (Math.abs(difference) < TARGET_REACHED_TOLERANCE_KG) {
+    return {
+      goal: "maintain",
+      weeklyRate: 0,
+      dailyCalorieAdjustment: 0,
+      projectedDate: null,
+    };
+  }
+
+  const goal = difference < 0 ? "lose" : "gain";
+
+  if (goal === "lose" && calculateBMI(targetWeight, height) < 18.5) {
+    return { error: "Target weight is below a healthy BMI of 18.5" };
+  }
+
+  let weeklyRate;
+  let projectedDate;
+
+  if (targetDate) {
+    const weeks = (new Date(targetDate).getTime() - Date.now()) / WEEK_MS;
+    if (weeks <= 0) {
+      return { error: "Target date must be in the future" };
+    }
+    weeklyRate = Math.abs(difference) / weeks;
+    projectedDate = new Date(targetDate);
+  } else if (targetWeeklyRate) {
+    weeklyRate = targetWeeklyRate;
+  }
+
+  const maxRate = getMaxWeeklyRate(weight, goal);
+
+  // Without a date or rate, plan at half the safe maximum
+  if (!weeklyRate) {
+    weeklyRate = maxRate / 2;
+  }
+
+  if (weeklyRate > maxRate) {
+    const earliestDate = new Date(Date.now() + (Math.abs(difference) / maxRate) * WEEK_MS);
+    return {
+      error: `That pace is faster than the safe limit of ${Math.round(maxRate * 100) / 100} kg per week. ` +
+        `The earliest safe target date is ${earliestDate.toISOString().slice(0, 10)}.`,
+    };
+  }
+
+  if (!projectedDate) {
+    projectedDate = new Date(Date.now() + (Math.abs(difference) / weeklyRate) * WEEK_MS);
+  }
+
+  const signedRate = goal === "lose" ? -weeklyRate : weeklyRate;
+
+  return {
+    goal,
+    weeklyRate: Math.round(signedRate * 100) / 100,
+    dailyCalorieAdjustment: Math.round((signedRate * KCAL_PER_KG) / 7),
+    projectedDate,
+  };
+};
+
 /**
  * Calculate all health metrics for a user
  * @param {Object} userData - User's physical data
  * @param {number} userData.weight - Weight in kg
  * @param {number} userData.height - Height in cm
  * @param {number} userData.age - Age in years
- * @param {string} userData.gender - 'male' or 'female'
+ * @param {string} [userData.metabolicSex] - 'male', 'female' or 'average' (the default)
  * @param {number} userData.activityLevel - Activity level multiplier
  * @param {string} userData.goal - Fitness goal ('lose', 'gain', 'maintain')
- * @returns {Object} - Calculated metrics
+ * @param {string} [userData.bmrFormula] - Preferred BMR equation (null picks automatically)
+ * @param {number} [userData.bodyFatPercentage] - Body fat in percent (for Katch-McArdle)
+ * @param {number} [userData.targetWeight] - Target weight in kg (enables a weight plan)
+ * @param {Date} [userData.targetDate] - Date to reach the target by
+ * @param {number} [userData.targetWeeklyRate] - Desired change in kg per week
+ * @param {string} [userData.lifeStage] - Active life stage (see LIFE_STAGES); adds its
+ *   allowance and limits the deficit
+ * @param {number} [userData.adaptiveTdee] - TDEE estimated from the user's logs; replaces
+ *   BMR × activity level as maintenance when set
+ * @returns {Object} - Calculated metrics; leanBodyMass is null without body fat, bmrFormula and
+ *   metabolicSex are what the equation actually used, tdee is the formula maintenance
+ *   (BMR × activity level), plan is null without a target weight,
+ *   lifeStage holds the allowances applied, planError is set when the plan is unsafe
  */
 const calculateHealthMetrics = ({
   weight,
   height,
   age,
-  gender,
+  metabolicSex,
   activityLevel,
   goal,
+  bmrFormula,
+  bodyFatPercentage,
+  targetWeight,
+  targetDate,
+  targetWeeklyRate,
+  lifeStage,
+  adaptiveTdee,
 }) => {
   const bmi = calculateBMI(weight, height);
   const bmiCategory = getBMICategory(bmi);
-  const bmr = calculateBMR(weight, height, age, gender);
-  const dailyCalorieGoal = calculateDailyCalorieGoal(bmr, activityLevel, goal);
+  const formula = resolveBMRFormula(bmrFormula, bodyFatPercentage);
+  const sex = resolveMetabolicSex(metabolicSex);
+  const bmr = calculateBMR(weight, height, age, sex, { formula, bodyFatPercentage });
+  const stage = LIFE_STAGES[lifeStage] || null;
 
-  return {
+  const metrics = {
     bmi,
     bmiCategory,
+    leanBodyMass: calculateLeanBodyMass(weight, bodyFatPercentage),
     bmr,
+    bmrFormula: formula,
+    metabolicSex: sex,
+    tdee: bmr && activityLevel ? Math.round(bmr * activityLevel) : null,
+    adaptiveTdee: adaptiveTdee || null,
+    lifeStage: stage
+      ? { stage: lifeStage, calorieAllowance: stage.calories, proteinAllowance: stage.protein }
+      : null,
+  };
+  const rejectPlan = (planError) => ({ ...metrics, dailyCalorieGoal: null, plan: null, planError });
+
+  let plan = null;
+  if (targetWeight) {
+    plan = calculateWeightPlan({ weight, height, targetWeight, targetDate, targetWeeklyRate });
+    if (plan.error) {
+      return rejectPlan(plan.error);
+    }
+  }
+
+  const effectiveGoal = plan ? plan.goal : goal;
+  const dailyAdjustment = plan ? plan.dailyCalorieAdjustment : null;
+
+  // Pregnancy and breastfeeding limit how large a deficit may be
+  if (stage) {
+    const deficit = -(dailyAdjustment ?? GOAL_CALORIE_OFFSETS[effectiveGoal] ?? 0);
+    if (deficit > stage.maxDailyDeficit) {
+      return rejectPlan(stage.maxDailyDeficit === 0
+        ? `Weight loss isn't recommended during ${stage.label}. Choose maintain or gain.`
+        : `During ${stage.label} the deficit is limited to ${stage.maxDailyDeficit} kcal a day. ` +
+          "Choose a later date or slower rate.");
+    }
+  }
+
+  // An estimated TDEE already includes activity, so it replaces BMR × activity level
+  let dailyCalorieGoal = calculateDailyCalorieGoal(
+    adaptiveTdee || bmr,
+    adaptiveTdee ? 1 : activityLevel,
+    effectiveGoal,
+    dailyAdjustment,
+    stage ? stage.calories : 0
+  );
+
+  const minCalories = MIN_DAILY_CALORIES[sex];
+  if (dailyCalorieGoal && minCalories && dailyCalorieGoal < minCalories) {
+    if (plan) {
+      return rejectPlan(
+        `That pace would need fewer than ${minCalories} kcal a day. Choose a later date or slower rate.`
+      );
+    }
+    // A low estimate never takes the default goal below the floor
+    if (adaptiveTdee) {
+      dailyCalorieGoal = minCalories;
+    }
+  }
+
+  return {
+    ...metrics,
     dailyCalorieGoal,
+    plan,
   };
 };
 
@@ -154,8 +601,19 @@ const isValidActivityLevel = (level) => {
 module.exports = {
   calculateBMI,
   getBMICategory,
+  calculateWaistToHeightRatio,
+  getWaistToHeightCategory,
+  calculateWaistToHipRatio,
+  estimateNavyBodyFat,
+  calculateLeanBodyMass,
+  estimateTdeeFromEnergyBalance,
+  resolveBMRFormula,
+  resolveMetabolicSex,
   calculateBMR,
   calculateDailyCalorieGoal,
+  calculateMacroGoals,
+  getMaxWeeklyRate,
+  calculateWeightPlan,
   calculateHealthMetrics,
   isValidActivityLevel,
 };
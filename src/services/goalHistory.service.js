@@ -0,0 +1,130 @@
+/**
+ * Goal History Service
+ * Keeps a versioned history of calorie and macro goals so past days are
+ * judged against the goal that was in force on that day
+ */
+
+const { prisma } = require("../config/database");
+const { getStartOfDay, getEndOfDay } = require("../utils/constants");
+
+/**
+ * User goal fields tracked by the history
+ */
+const GOAL_FIELDS = ["dailyCalorieGoal", "proteinGoal", "carbsGoal", "fatsGoal"];
+
+/**
+ * Record a new goal version when a user's goals change
+ * The new goal applies from the day it takes effect (today by default), so that
+ * day's summary and any later ones are updated as well
+ * @param {string} userId - User ID
+ * @param {Object} previous - Goals before the change ({ dailyCalorieGoal, proteinGoal, carbsGoal, fatsGoal })
+ * @param {Object} next - Goals after the change
+ * @param {string} [timeZone] - User's time zone (decides which summary is today's)
+ * @param {Date} [effectiveFrom] - When the new goal took effect, e.g. a birthday the
+ *   goal was recalculated for after the fact
+ * @returns {Promise<Object|null>} - Created version, or null if nothing changed
+ */
+const recordGoalChange = async (userId, previous, next, timeZone, effectiveFrom = new Date()) => {
+  if (!next.dailyCalorieGoal || GOAL_FIELDS.every((field) => previous[field] === next[field])) {
+    return null;
+  }
+
+  const dayStart = getStartOfDay(effectiveFrom, timeZone);
+
+  const [version] = await prisma.$transaction([
+    prisma.goalVersion.create({
+      data: {
+        userId,
+        calorieGoal: next.dailyCalorieGoal,
+        proteinGoal: next.proteinGoal ?? null,
+        carbsGoal: next.carbsGoal ?? null,
+        fatsGoal: next.fatsGoal ?? null,
+        effectiveFrom,
+      },
+    }),
+    prisma.dailySummary.updateMany({
+      where: { userId, date: { gte: dayStart } },
+      data: { calorieGoal: next.dailyCalorieGoal },
+    }),
+  ]);
+
+  return version;
+};
+
+/**
+ * Get the goal version in force on a date
+ * The last change made on a day applies to the whole day
+ * @param {string} userId - User ID
+ * @param {Date} date - Any moment of the day
+ * @param {string} [timeZone] - User's time zone
+ * @returns {Promise<Object|null>} - Goal version, or null if the date predates the history
+ */
+const getGoalForDate = async (userId, date, timeZone) => {
+  return prisma.goalVersion.findFirst({
+    where: { userId, effectiveFrom: { lte: getEndOfDay(date, timeZone) } },
+    orderBy: { effectiveFrom: "desc" },
+  });
+};
+
+/**
+ * Load the goal versions covering a date range
+ * @param {string} userId - User ID
+ * @param {Date} start - Start of the first day
+ * @param {Date} end - End of the range
+ * @param {string} [timeZone] - User's time zone
+ * @returns {Promise<Function>} - (date) => goal version in force on that day, or null
+ */
+const getGoalTimeline = async (userId, start, end, timeZone) => {
+  const [earlier, inRange] = await Promise.all([
+    prisma.goalVersion.findFirst({
+      where: { userId, effectiveFrom: { lt: start } },
+      orderBy: { effectiveFrom: "desc" },
+    }),
+    prisma.goalVersion.findMany({
+      where: { userId, effectiveFrom: { gte: start, lte: end } },
+      orderBy: { effectiveFrom: "asc" },
+    }),
+  ]);
+
+  const versions = earlier ? [earlier, ...inRange] : inRange;
+
+  return (date) => {
+    const dayEnd = getEndOfDay(date, timeZone);
+    let current = null;
+
+    for (const version of versions) {
+      if (version.effectiveFrom > dayEnd) {
+        break;
+      }
+      current = version;
+    }
+
+    return current;
+  };
+};
+
+/**
+ * List a user's goal history, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Goal versions
+ */
+const listGoalHistory = async (userId) => {
+  return prisma.goalVersion.findMany({
+    where: { userId },
+    orderBy: { effectiveFrom: "desc" },
+    select: {
+      calorieGoal: true,
+      proteinGoal: true,
+      carbsGoal: true,
+      fatsGoal: true,
+      effectiveFrom: true,
+    },
+  });
+};
+
+module.exports = {
+  recordGoalChange,
+  getGoalForDate,
+  getGoalTimeline,
+  listGoalHistory,
+};
@@ -0,0 +1,192 @@
+/**
+ * Lockout Service
+ * Per-account brute-force protection: failed logins are counted in the
+ * database, each failure past a few free attempts adds a growing delay,
+ * and too many failures lock the account for a while
+ */
+
+const { prisma } = require("../config/database");
+const notificationService = require("./notification.service");
+
+/**
+ * Failures allowed before delays kick in
+ */
+const FREE_ATTEMPTS = 3;
+
+/**
+ * Longest delay between attempts before a full lockout (seconds)
+ */
+const MAX_DELAY_SECONDS = 30;
+
+/**
+ * Failures that trigger a lockout
+ */
+const MAX_FAILED_ATTEMPTS = 10;
+
+/**
+ * First lockout duration; doubles with each consecutive lockout up to the cap
+ */
+const LOCKOUT_BASE_MINUTES = 15;
+const LOCKOUT_MAX_MINUTES = 24 * 60;
+
+/**
+ * Failures older than this no longer count towards a lockout
+ */
+const FAILURE_MEMORY_HOURS = 24;
+
+const lockoutFields = {
+  failedLoginAttempts: true,
+  lastFailedLoginAt: true,
+  lockedUntil: true,
+  lockoutCount: true,
+};
+
+/**
+ * Check whether an account currently refuses login attempts
+ * @param {Object} user - User ({ lockedUntil })
+ * @returns {number} - Seconds until the next attempt is allowed (0 if allowed now)
+ */
+const getRetryAfterSeconds = (user) => {
+  if (!user.lockedUntil) {
+    return 0;
+  }
+
+  const remainingMs = user.lockedUntil.getTime() - Date.now();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+};
+
+/**
+ * Record a failed login attempt and apply a delay or lockout
+ * @param {Object} user - User ({ id, lastFailedLoginAt, lockoutCount })
+ * @returns {Promise<Object>} - { retryAfterSeconds, locked }
+ */
+const recordFailedLogin = async (user) => {
+  const now = new Date();
+  const isStale =
+    !user.lastFailedLoginAt ||
+    now - user.lastFailedLoginAt > FAILURE_MEMORY_HOURS * 60 * 60 * 1000;
+
+  const { failedLoginAttempts } = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: isStale ? 1 : { increment: 1 },
+      lastFailedLoginAt: now,
+    },
+    select: { failedLoginAttempts: true },
+  });
+
+  if (failedLoginAttempts >= MAX_FAILED_ATTEMPTS) {
+    const lockoutMinutes = Math.min(
+      LOCKOUT_BASE_MINUTES * 2 ** user.lockoutCount,
+      LOCKOUT_MAX_MINUTES
+    );
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        failedLoginAttempts: 0,
+        lockedUntil: new Date(now.getTime() + lockoutMinutes * 60 * 1000),
+        lockoutCount: { increment: 1 },
+      },
+    });
+
+    notificationService
+      .createAndSendNotification({
+        userId: user.id,
+        title: "Account temporarily locked",
+        body: `We locked your account for ${lockoutMinutes} minutes after too many failed login attempts. If this wasn't you, reset your password.`,
+        type: "SECURITY",
+      })
+      .catch((err) => console.error("Failed to send lockout notification:", err));
+
+    return { retryAfterSeconds: lockoutMinutes * 60, locked: true };
+  }
+
+  if (failedLoginAttempts > FREE_ATTEMPTS) {
+    const delaySeconds = Math.min(2 ** (failedLoginAttempts - FREE_ATTEMPTS - 1), MAX_DELAY_SECONDS);
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { lockedUntil: new Date(now.getTime() + delaySeconds * 1000) },
+    });
+
+    return { retryAfterSeconds: delaySeconds, locked: false };
+  }
+
+  return { retryAfterSeconds: 0, locked: false };
+};
+
+/**
+ * Clear failure counters after a successful login
+ * @param {Object} user - User ({ id, failedLoginAttempts, lockoutCount, lockedUntil })
+ * @returns {Promise<void>}
+ */
+const recordSuccessfulLogin = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockoutCount && !user.lockedUntil) {
+    return;
+  }
+
+  await unlock(user.id);
+};
+
+/**
+ * Reset all lockout state for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const unlock = async (userId) => {
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockedUntil: null,
+      lockoutCount: 0,
+    },
+  });
+};
+
+/**
+ * Get the lockout state of a user (for admins)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Lockout state or null if the user doesn't exist
+ */
+const getLockoutState = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, email: true, ...lockoutFields },
+  });
+
+  if (!user) {
+    return null;
+  }
+
+  const retryAfterSeconds = getRetryAfterSeconds(user);
+
+  return {
+    ...user,
+    isLocked: retryAfterSeconds > 0,
+    retryAfterSeconds,
+  };
+};
+
+/**
+ * List accounts that are currently locked out or delayed (for admins)
+ * @returns {Promise<Array>} - Users with their lockout state
+ */
+const listLockedAccounts = async () => {
+  return prisma.user.findMany({
+    where: { lockedUntil: { gt: new Date() } },
+    select: { id: true, email: true, ...lockoutFields },
+    orderBy: { lockedUntil: "desc" },
+  });
+};
+
+module.exports = {
+  getRetryAfterSeconds,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlock,
+  getLockoutState,
+  listLockedAccounts,
+};
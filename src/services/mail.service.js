@@ -0,0 +1,183 @@
+/**
+ * Mail Service
+ * Builds and sends transactional emails through the configured transport
+ */
+
+const { getTransport, getDefaultSender } = require("../config/mailer");
+
+/**
+ * Escape user-provided text for use in HTML email bodies
+ * @param {string} value - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Build a link into the app for an emailed token
+ * @param {string} pathname - App path (e.g. '/reset-password')
+ * @param {string} token - Raw token to embed
+ * @returns {string} - Link URL
+ */
+const buildAppLink = (pathname, token) => {
+  const baseUrl = (process.env.APP_URL || "http://localhost:3000").replace(/\/$/, "");
+  return `${baseUrl}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Send an email
+ * @param {Object} message - Message data
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain-text body
+ * @param {string} [message.html] - HTML body
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const transport = getTransport();
+
+  return transport.sendMail({
+    from: getDefaultSender(),
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+/**
+ * Send a password reset email
+ * @param {Object} user - Recipient user ({ email, name })
+ * @param {string} token - Raw reset token
+ * @param {number} expiresInMinutes - Token lifetime shown to the user
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+  const link = buildAppLink("/reset-password", token);
+  const greeting = user.name ? `Hi ${user.name},` : "Hi,";
+
+  return sendMail({
+    to: user.email,
+    subject: "Reset your Calorie Tracker password",
+    text: [
+      greeting,
+      "",
+      "We received a request to reset your password. Open the link below to choose a new one:",
+      link,
+      "",
+      `The link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      "If you did not request this, you can safely ignore this email.",
+    ].join("\n"),
+    html: `
+      <p>${escapeHtml(greeting)}</p>
+      <p>We received a request to reset your password.</p>
+      <p><a href="${link}">Reset your password</a></p>
+      <p>The link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+      <p>If you did not request this, you can safely ignore this email.</p>
+    `,
+  });
+};
+
+/**
+ * Send an email address verification email
+ * @param {Object} recipient - Recipient ({ email, name })
+ * @param {string} token - Raw verification token
+ * @param {number} expiresInHours - Token lifetime shown to the user
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendEmailVerificationEmail = async (recipient, token, expiresInHours) => {
+  const link = buildAppLink("/verify-email", token);
+  const greeting = recipient.name ? `Hi ${recipient.name},` : "Hi,";
+
+  return sendMail({
+    to: recipient.email,
+    subject: "Verify your Calorie Tracker email",
+    text: [
+      greeting,
+      "",
+      "Please confirm this is your email address by opening the link below:",
+      link,
+      "",
+      `The link expires in ${expiresInHours} hours.`,
+      "If you did not create an account, you can safely ignore this email.",
+    ].join("\n"),
+    html: `
+      <p>${escapeHtml(greeting)}</p>
+      <p>Please confirm this is your email address.</p>
+      <p><a href="${link}">Verify email</a></p>
+      <p>The link expires in ${expiresInHours} hours.</p>
+      <p>If you did not create an account, you can safely ignore this email.</p>
+    `,
+  });
+};
+
+/**
+ * Send a confirmation link to a new email address
+ * @param {Object} recipient - Recipient ({ email: new address, name })
+ * @param {string} token - Raw confirmation token
+ * @param {number} expiresInHours - Token lifetime shown to the user
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendEmailChangeConfirmationEmail = async (recipient, token, expiresInHours) => {
+  const link = buildAppLink("/confirm-email-change", token);
+  const greeting = recipient.name ? `Hi ${recipient.name},` : "Hi,";
+
+  return sendMail({
+    to: recipient.email,
+    subject: "Confirm your new Calorie Tracker email",
+    text: [
+      greeting,
+      "",
+      "You asked to use this address for your Calorie Tracker account. Confirm the change by opening the link below:",
+      link,
+      "",
+      `The link expires in ${expiresInHours} hours.`,
+      "If you did not request this, you can safely ignore this email.",
+    ].join("\n"),
+    html: `
+      <p>${escapeHtml(greeting)}</p>
+      <p>You asked to use this address for your Calorie Tracker account.</p>
+      <p><a href="${link}">Confirm email change</a></p>
+      <p>The link expires in ${expiresInHours} hours.</p>
+      <p>If you did not request this, you can safely ignore this email.</p>
+    `,
+  });
+};
+
+/**
+ * Tell the previous address that the account email was changed
+ * @param {Object} recipient - Recipient ({ email: old address, name })
+ * @param {string} newEmail - Address the account now uses
+ * @returns {Promise<Object>} - Transport result
+ */
+const sendEmailChangedNotice = async (recipient, newEmail) => {
+  const greeting = recipient.name ? `Hi ${recipient.name},` : "Hi,";
+
+  return sendMail({
+    to: recipient.email,
+    subject: "Your Calorie Tracker email was changed",
+    text: [
+      greeting,
+      "",
+      `The email address on your Calorie Tracker account was changed to ${newEmail}.`,
+      "If you did not make this change, please contact support immediately.",
+    ].join("\n"),
+    html: `
+      <p>${escapeHtml(greeting)}</p>
+      <p>The email address on your Calorie Tracker account was changed to ${escapeHtml(newEmail)}.</p>
+      <p>If you did not make this change, please contact support immediately.</p>
+    `,
+  });
+};
+
+module.exports = {
+  sendMail,
+  sendPasswordResetEmail,
+  sendEmailVerificationEmail,
+  sendEmailChangeConfirmationEmail,
+  sendEmailChangedNotice,
+};
@@ -5,6 +5,10 @@
 
 const { prisma } = require("../config/database");
 const {
+  getStartOfDay,
+  getEndOfDay,
+  addDays,
+  formatDateYMD,
   getStartOfToday,
   getEndOfToday,
   getStartOfWeek,
@@ -14,6 +18,77 @@ const {
   PAGINATION,
 } = require("../utils/constants");
 const notificationService = require("./notification.service");
+const { getMacroGoals } = require("./profile.service");
+const goalHistoryService = require("./goalHistory.service");
+const { findAllergenWarnings } = require("../utils/diet");
+
+/**
+ * User fields needed to work out calorie and macro targets
+ */
+const goalSelect = {
+  dailyCalorieGoal: true,
+  macroPreset: true,
+  proteinPercent: true,
+  carbsPercent: true,
+  fatsPercent: true,
+  proteinGoal: true,
+  carbsGoal: true,
+  fatsGoal: true,
+};
+
+/**
+ * Work out the goals that applied on a day
+ * Days before the goal history began fall back to the summary's stored goal,
+ * then to the user's current goal
+ * @param {Object|null} version - Goal version in force on the day
+ * @param {Object|null} user - User loaded with goalSelect
+ * @param {Object|null} [summary] - Daily summary for the day
+ * @returns {Object} - { calorieGoal, macroGoals: { protein, carbs, fats } }
+ */
+const getGoalsForDay = (version, user, summary = null) => {
+  if (version) {
+    return {
+      calorieGoal: version.calorieGoal,
+      macroGoals: {
+        protein: version.proteinGoal,
+        carbs: version.carbsGoal,
+        fats: version.fatsGoal,
+      },
+    };
+  }
+
+  const calorieGoal = summary?.calorieGoal || user?.dailyCalorieGoal || 2000;
+
+  return {
+    calorieGoal,
+    macroGoals: getMacroGoals(user || {}, calorieGoal),
+  };
+};
+
+/**
+ * Compare consumed macros with the user's targets
+ * @param {Object} goals - Goals in grams for the period ({ protein, carbs, fats })
+ * @param {Object} consumed - Grams eaten in the period ({ protein, carbs, fats })
+ * @returns {Object} - { goal, consumed, remaining, percentOfTarget } per macro
+ */
+const buildMacroTargets = (goals, consumed) => {
+  return Object.fromEntries(
+    ["protein", "carbs", "fats"].map((macro) => {
+      const goal = goals[macro] || null;
+      const eaten = Math.round(consumed[macro] || 0);
+
+      return [
+        macro,
+        {
+          goal,
+          consumed: eaten,
+          remaining: goal !== null ? goal - eaten : null,
+          percentOfTarget: goal ? Math.round((eaten / goal) * 100) : null,
+        },
+      ];
+    })
+  );
+};
 
 /**
  * Create a new meal entry
@@ -29,7 +104,7 @@ const notificationService = require("./notification.service");
  * @param {number} [mealData.fiber] - Fiber in grams
  * @param {Date} [mealData.mealDate] - Date of the meal
  * @param {Array} [mealData.foodItems] - Array of food items
- * @returns {Promise<Object>} - Created meal
+ * @returns {Promise<Object>} - Created meal, with warnings for foods matching the user's allergens
  */
 const createMeal = async (mealData) => {
   const {
@@ -81,6 +156,13 @@ const createMeal = async (mealData) => {
   // Update daily summary after creating meal
   await updateDailySummary(userId, mealDate || new Date());
 
+  // Warn about foods that match the user's declared allergens (the meal is still logged)
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { allergens: true },
+  });
+  const warnings = findAllergenWarnings(meal, user?.allergens);
+
   // Trigger notification
   await notificationService.createAndSendNotification({
     userId,
@@ -89,7 +171,7 @@ const createMeal = async (mealData) => {
     type: 'MEAL_LOGGED',
   });
 
-  return meal;
+  return { ...meal, warnings };
 };
 
 /**
@@ -119,6 +201,7 @@ const getMealById = async (mealId, userId) => {
  * @param {Date} [options.startDate] - Filter start date
  * @param {Date} [options.endDate] - Filter end date
  * @param {string} [options.mealType] - Filter by meal type
+ * @param {string} [options.timeZone] - User's time zone for the date filters
  * @returns {Promise<Object>} - Paginated meals
  */
 const getMeals = async (userId, options = {}) => {
@@ -135,16 +218,14 @@ const getMeals = async (userId, options = {}) => {
   if (options.startDate || options.endDate) {
     where.mealDate = {};
     if (options.startDate) {
-      const start = new Date(options.startDate);
+      const start = getStartOfDay(options.startDate, options.timeZone);
       if (!isNaN(start.getTime())) {
-        start.setHours(0, 0, 0, 0);
         where.mealDate.gte = start;
       }
     }
     if (options.endDate) {
-      const end = new Date(options.endDate);
+      const end = getEndOfDay(options.endDate, options.timeZone);
       if (!isNaN(end.getTime())) {
-        end.setHours(23, 59, 59, 999);
         where.mealDate.lte = end;
       }
     }
@@ -181,11 +262,12 @@ const getMeals = async (userId, options = {}) => {
 /**
  * Get today's meals for a user
  * @param {string} userId - User ID
+ * @param {string} [timeZone] - User's time zone (decides when "today" starts)
  * @returns {Promise<Object>} - Today's meals and summary
  */
-const getTodaysMeals = async (userId) => {
-  const startOfDay = getStartOfToday();
-  const endOfDay = getEndOfToday();
+const getTodaysMeals = async (userId, timeZone) => {
+  const startOfDay = getStartOfToday(timeZone);
+  const endOfDay = getEndOfToday(timeZone);
 
   // Fetch meals and calculate totals in parallel
   const [meals, aggregation] = await Promise.all([
@@ -302,8 +384,11 @@ const updateMeal = async (mealId, userId, updateData) => {
 
   console.log(`Transaction completed in ${Date.now() - startTime}ms`);
 
-  // Update daily summary
+  // Update daily summary (and the new day's, if the meal moved)
   await updateDailySummary(userId, existingMeal.mealDate);
+  if (updatedMeal.mealDate.getTime() !== existingMeal.mealDate.getTime()) {
+    await updateDailySummary(userId, updatedMeal.mealDate);
+  }
 
   return updatedMeal;
 };
@@ -332,16 +417,21 @@ const deleteMeal = async (mealId, userId) => {
 
 /**
  * Update or create daily summary for a user
+ * Days are bucketed in the user's time zone
  * @param {string} userId - User ID
  * @param {Date} date - Date to update
  * @returns {Promise<Object>} - Updated summary
  */
 const updateDailySummary = async (userId, date) => {
-  // Get start and end of the day
-  const dayStart = new Date(date);
-  dayStart.setHours(0, 0, 0, 0);
-  const dayEnd = new Date(date);
-  dayEnd.setHours(23, 59, 59, 999);
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { dailyCalorieGoal: true, timezone: true },
+  });
+
+  // Get start and end of the user's day
+  const timeZone = user?.timezone;
+  const dayStart = getStartOfDay(date, timeZone);
+  const dayEnd = getEndOfDay(date, timeZone);
 
   // Use database aggregation to calculate totals in a single query
   const aggregation = await prisma.meal.aggregate({
@@ -361,11 +451,8 @@ const updateDailySummary = async (userId, date) => {
     _count: true,
   });
 
-  // Get user's calorie goal
-  const user = await prisma.user.findUnique({
-    where: { id: userId },
-    select: { dailyCalorieGoal: true },
-  });
+  // Judge the day against the goal in force on it
+  const version = await goalHistoryService.getGoalForDate(userId, dayStart, timeZone);
 
   const totals = {
     totalCalories: aggregation._sum.totalCalories || 0,
@@ -374,6 +461,9 @@ const updateDailySummary = async (userId, date) => {
     totalFats: aggregation._sum.fats || 0,
   };
 
+  // Without history for the day, an existing summary keeps the goal it was saved with
+  const calorieGoal = version?.calorieGoal ?? user?.dailyCalorieGoal ?? 2000;
+
   // Upsert daily summary
   return prisma.dailySummary.upsert({
     where: {
@@ -387,7 +477,7 @@ const updateDailySummary = async (userId, date) => {
       totalProtein: totals.totalProtein,
       totalCarbs: totals.totalCarbs,
       totalFats: totals.totalFats,
-      calorieGoal: user?.dailyCalorieGoal || 2000,
+      ...(version && { calorieGoal }),
       mealsCount: aggregation._count,
     },
     create: {
@@ -397,7 +487,7 @@ const updateDailySummary = async (userId, date) => {
       totalProtein: totals.totalProtein,
       totalCarbs: totals.totalCarbs,
       totalFats: totals.totalFats,
-      calorieGoal: user?.dailyCalorieGoal || 2000,
+      calorieGoal,
       mealsCount: aggregation._count,
     },
   });
@@ -406,19 +496,20 @@ const updateDailySummary = async (userId, date) => {
 /**
  * Get daily analytics for a user
  * @param {string} userId - User ID
- * @param {Date} [date] - Date (defaults to today)
+ * @param {Date|string} [date] - Date or 'YYYY-MM-DD' (defaults to today)
+ * @param {string} [timeZone] - User's time zone
  * @returns {Promise<Object>} - Daily analytics
  */
-const getDailyAnalytics = async (userId, date = new Date()) => {
-  const dayStart = new Date(date);
-  dayStart.setHours(0, 0, 0, 0);
+const getDailyAnalytics = async (userId, date = new Date(), timeZone) => {
+  const dayStart = getStartOfDay(date, timeZone);
 
-  // Get both user goal and daily summary in parallel to reduce round trips
-  const [user, summary] = await Promise.all([
+  // Get the user, the goal in force that day and the daily summary in parallel
+  const [user, version, summary] = await Promise.all([
     prisma.user.findUnique({
       where: { id: userId },
-      select: { dailyCalorieGoal: true },
+      select: goalSelect,
     }),
+    goalHistoryService.getGoalForDate(userId, dayStart, timeZone),
     prisma.dailySummary.findUnique({
       where: {
         userId_date: {
@@ -429,10 +520,15 @@ const getDailyAnalytics = async (userId, date = new Date()) => {
     }),
   ]);
 
-  const calorieGoal = user?.dailyCalorieGoal || 2000;
+  const { calorieGoal, macroGoals } = getGoalsForDay(version, user, summary);
   const consumed = summary?.totalCalories || 0;
   const remaining = calorieGoal - consumed;
   const percentConsumed = Math.round((consumed / calorieGoal) * 100);
+  const macros = {
+    protein: summary?.totalProtein || 0,
+    carbs: summary?.totalCarbs || 0,
+    fats: summary?.totalFats || 0,
+  };
 
   return {
     date: dayStart,
@@ -440,11 +536,8 @@ const getDailyAnalytics = async (userId, date = new Date()) => {
     consumed,
     remaining,
     percentConsumed,
-    macros: {
-      protein: summary?.totalProtein || 0,
-      carbs: summary?.totalCarbs || 0,
-      fats: summary?.totalFats || 0,
-    },
+    macros,
+    macroTargets: buildMacroTargets(macroGoals, macros),
     mealsCount: summary?.mealsCount || 0,
   };
 };
@@ -452,14 +545,16 @@ const getDailyAnalytics = async (userId, date = new Date()) => {
 /**
  * Get weekly analytics for a user
  * @param {string} userId - User ID
- * @returns {Promise<Object>} - Weekly analytics
+ * @param {string} [timeZone] - User's time zone
+ * @returns {Promise<Object>} - Weekly analytics (dailyCalorieGoal is the average of the goals
+ *   in force on each day of the week)
  */
-const getWeeklyAnalytics = async (userId) => {
-  const startOfWeek = getStartOfWeek();
-  const endOfWeek = getEndOfWeek();
+const getWeeklyAnalytics = async (userId, timeZone) => {
+  const startOfWeek = getStartOfWeek(timeZone);
+  const endOfWeek = getEndOfWeek(timeZone);
 
-  // Fetch summaries and user goal in parallel to reduce total query time
-  const [summaries, user] = await Promise.all([
+  // Fetch summaries, user goal and goal history in parallel to reduce total query time
+  const [summaries, user, goalOn] = await Promise.all([
     prisma.dailySummary.findMany({
       where: {
         userId,
@@ -474,8 +569,9 @@ const getWeeklyAnalytics = async (userId) => {
     }),
     prisma.user.findUnique({
       where: { id: userId },
-      select: { dailyCalorieGoal: true },
+      select: goalSelect,
     }),
+    goalHistoryService.getGoalTimeline(userId, startOfWeek, endOfWeek, timeZone),
   ]);
 
   console.log(`[Analytics] Found ${summaries.length} summaries for user ${userId} between ${startOfWeek.toISOString()} and ${endOfWeek.toISOString()}`);
@@ -509,7 +605,7 @@ const getWeeklyAnalytics = async (userId) => {
   // Process summaries to ensure unique dates (in case of timestamp variations)
   const uniqueSummaries = new Map();
   summaries.forEach(summary => {
-    const dateStr = summary.date.toISOString().split('T')[0];
+    const dateStr = formatDateYMD(summary.date, timeZone);
     if (!uniqueSummaries.has(dateStr)) {
       uniqueSummaries.set(dateStr, summary);
     } else {
@@ -532,12 +628,39 @@ const getWeeklyAnalytics = async (userId) => {
   const avgCalories =
     daysTracked > 0 ? Math.round(weeklyTotals.totalCalories / daysTracked) : 0;
 
+  // Add up each day's goal so a mid-week change only affects the days after it
+  let weeklyCalorieGoal = 0;
+  const weeklyMacroGoals = { protein: 0, carbs: 0, fats: 0 };
+
+  for (let i = 0; i < 7; i++) {
+    const day = addDays(startOfWeek, i, timeZone);
+
+    const { calorieGoal, macroGoals } = getGoalsForDay(
+      goalOn(day),
+      user,
+      uniqueSummaries.get(formatDateYMD(day, timeZone))
+    );
+
+    weeklyCalorieGoal += calorieGoal;
+    weeklyMacroGoals.protein += macroGoals.protein || 0;
+    weeklyMacroGoals.carbs += macroGoals.carbs || 0;
+    weeklyMacroGoals.fats += macroGoals.fats || 0;
+  }
+
+  const macroTargets = buildMacroTargets(weeklyMacroGoals, {
+    protein: weeklyTotals.totalProtein,
+    carbs: weeklyTotals.totalCarbs,
+    fats: weeklyTotals.totalFats,
+  });
+
   return {
     startDate: startOfWeek,
     endDate: endOfWeek,
-    dailyCalorieGoal: user?.dailyCalorieGoal || 2000,
+    dailyCalorieGoal: Math.round(weeklyCalorieGoal / 7),
+    weeklyCalorieGoal,
     averageCalories: avgCalories,
     totals: weeklyTotals,
+    macroTargets,
     daysTracked,
     dailyBreakdown: processedSummaries,
   };
@@ -546,14 +669,16 @@ const getWeeklyAnalytics = async (userId) => {
 /**
  * Get monthly analytics for a user
  * @param {string} userId - User ID
- * @returns {Promise<Object>} - Monthly analytics
+ * @param {string} [timeZone] - User's time zone
+ * @returns {Promise<Object>} - Monthly analytics (dailyCalorieGoal is the average of the goals
+ *   in force on each day of the month; each week trend carries its own calorieGoal)
  */
-const getMonthlyAnalytics = async (userId) => {
-  const startOfMonth = getStartOfMonth();
-  const endOfMonth = getEndOfMonth();
+const getMonthlyAnalytics = async (userId, timeZone) => {
+  const startOfMonth = getStartOfMonth(timeZone);
+  const endOfMonth = getEndOfMonth(timeZone);
 
-  // Fetch summaries and user goal in parallel
-  const [summaries, user] = await Promise.all([
+  // Fetch summaries, user goal and goal history in parallel
+  const [summaries, user, goalOn] = await Promise.all([
     prisma.dailySummary.findMany({
       where: {
         userId,
@@ -568,8 +693,9 @@ const getMonthlyAnalytics = async (userId) => {
     }),
     prisma.user.findUnique({
       where: { id: userId },
-      select: { dailyCalorieGoal: true },
+      select: goalSelect,
     }),
+    goalHistoryService.getGoalTimeline(userId, startOfMonth, endOfMonth, timeZone),
   ]);
 
   // Use database aggregation for monthly totals
@@ -602,13 +728,28 @@ const getMonthlyAnalytics = async (userId) => {
   const avgCalories =
     daysTracked > 0 ? Math.round(monthlyTotals.totalCalories / daysTracked) : 0;
 
+  // Each day's goal, so a mid-month change only affects the days after it
+  const summariesByDate = new Map(
+    summaries.map((summary) => [formatDateYMD(summary.date, timeZone), summary])
+  );
+  const calorieGoalOn = (day) => getGoalsForDay(
+    goalOn(day),
+    user,
+    summariesByDate.get(formatDateYMD(day, timeZone))
+  ).calorieGoal;
+
+  let monthlyCalorieGoal = 0;
+  let daysInMonth = 0;
+  for (let day = startOfMonth; day <= endOfMonth; day = addDays(day, 1, timeZone)) {
+    monthlyCalorieGoal += calorieGoalOn(day);
+    daysInMonth++;
+  }
+
   // Calculate weekly averages for trend using in-memory data (already fetched)
   const weeklyData = [];
   for (let i = 0; i < 4; i++) {
-    const weekStart = new Date(startOfMonth);
-    weekStart.setDate(weekStart.getDate() + i * 7);
-    const weekEnd = new Date(weekStart);
-    weekEnd.setDate(weekEnd.getDate() + 6);
+    const weekStart = addDays(startOfMonth, i * 7, timeZone);
+    const weekEnd = getEndOfDay(addDays(weekStart, 6, timeZone), timeZone);
 
     const weekSummaries = summaries.filter(
       (s) => s.date >= weekStart && s.date <= weekEnd,
@@ -619,10 +760,16 @@ const getMonthlyAnalytics = async (userId) => {
     );
     const weekDays = weekSummaries.length;
 
+    let weekCalorieGoal = 0;
+    for (let day = 0; day < 7; day++) {
+      weekCalorieGoal += calorieGoalOn(addDays(weekStart, day, timeZone));
+    }
+
     weeklyData.push({
       week: i + 1,
       totalCalories: weekCalories,
       averageCalories: weekDays > 0 ? Math.round(weekCalories / weekDays) : 0,
+      calorieGoal: weekCalorieGoal,
       daysTracked: weekDays,
     });
   }
@@ -630,7 +777,8 @@ const getMonthlyAnalytics = async (userId) => {
   return {
     startDate: startOfMonth,
     endDate: endOfMonth,
-    dailyCalorieGoal: user?.dailyCalorieGoal || 2000,
+    dailyCalorieGoal: Math.round(monthlyCalorieGoal / daysInMonth),
+    monthlyCalorieGoal,
     averageCalories: avgCalories,
     totals: monthlyTotals,
     daysTracked,
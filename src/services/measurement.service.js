@@ -0,0 +1,226 @@
+/**
+ * Body Measurement Service
+ * Measurement log history, derived body composition metrics and keeping
+ * User.bodyFatPercentage on the latest known body fat
+ */
+
+const { prisma } = require("../config/database");
+const { applyProfileChanges } = require("./profile.service");
+const {
+  calculateWaistToHeightRatio,
+  getWaistToHeightCategory,
+  calculateWaistToHipRatio,
+  resolveBMRFormula,
+  estimateNavyBodyFat,
+  calculateLeanBodyMass,
+} = require("./bmi.service");
+
+/**
+ * User fields the derived metrics depend on
+ */
+const bodySelect = {
+  height: true,
+  weight: true,
+  metabolicSex: true,
+  bmrFormula: true,
+  bodyFatPercentage: true,
+};
+
+/**
+ * Add derived metrics to a measurement
+ * @param {Object} entry - Measurement
+ * @param {Object} user - User loaded with bodySelect
+ * @returns {Object} - Entry with estimatedBodyFat (US Navy), waistToHeightRatio,
+ *   waistToHeightCategory and waistToHipRatio (null when the inputs are missing)
+ */
+const withDerivedMetrics = (entry, user) => {
+  const waistToHeightRatio = calculateWaistToHeightRatio(entry.waist, user.height);
+
+  return {
+    ...entry,
+    estimatedBodyFat: estimateNavyBodyFat(
+      { waist: entry.waist, neck: entry.neck, hip: entry.hip, height: user.height },
+      user.metabolicSex
+    ),
+    waistToHeightRatio,
+    waistToHeightCategory: waistToHeightRatio ? getWaistToHeightCategory(waistToHeightRatio) : null,
+    waistToHipRatio: calculateWaistToHipRatio(entry.waist, entry.hip),
+  };
+};
+
+/**
+ * Get the body fat a measurement gives, preferring a measured value over the estimate
+ * @param {Object} entry - Result of withDerivedMetrics
+ * @returns {number|null}
+ */
+const getEntryBodyFat = (entry) => entry.bodyFatPercentage ?? entry.estimatedBodyFat;
+
+/**
+ * Point User.bodyFatPercentage at the latest measurement with body fat and
+ * recalculate metrics if it changed (lean mass feeds the Katch-McArdle BMR)
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const syncLatestBodyFat = async (userId) => {
+  const [entries, user] = await Promise.all([
+    prisma.bodyMeasurement.findMany({
+      where: { userId },
+      orderBy: { recordedAt: "desc" },
+    }),
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: bodySelect,
+    }),
+  ]);
+
+  const latest = entries
+    .map((entry) => withDerivedMetrics(entry, user))
+    .find((entry) => getEntryBodyFat(entry) !== null);
+
+  // With no body fat left in the log the last known value is kept
+  if (latest && getEntryBodyFat(latest) !== user.bodyFatPercentage) {
+    await applyProfileChanges(userId, { bodyFatPercentage: getEntryBodyFat(latest) }, undefined, {
+      rejectUnsafePlan: false,
+    });
+  }
+};
+
+/**
+ * Log body measurements
+ * @param {string} userId - User ID
+ * @param {Object} data - Entry data
+ * @param {number} [data.waist] - Waist in cm
+ * @param {number} [data.hip] - Hip in cm
+ * @param {number} [data.neck] - Neck in cm
+ * @param {number} [data.chest] - Chest in cm
+ * @param {number} [data.bodyFatPercentage] - Measured body fat in percent
+ * @param {Date} [data.recordedAt] - When it was measured (defaults to now)
+ * @param {string} [data.note] - Optional note
+ * @returns {Promise<Object>} - Created entry
+ */
+const addMeasurement = async (userId, { waist, hip, neck, chest, bodyFatPercentage, recordedAt, note }) => {
+  const entry = await prisma.bodyMeasurement.create({
+    data: {
+      userId,
+      waist,
+      hip,
+      neck,
+      chest,
+      bodyFatPercentage,
+      recordedAt: recordedAt ? new Date(recordedAt) : new Date(),
+      note: note || null,
+    },
+  });
+
+  await syncLatestBodyFat(userId);
+
+  return entry;
+};
+
+/**
+ * Update a measurement
+ * @param {string} entryId - Entry ID
+ * @param {string} userId - User ID (for security)
+ * @param {Object} changes - Fields to update (null clears a measurement)
+ * @returns {Promise<Object|null>} - Updated entry or null if not found
+ */
+const updateMeasurement = async (
+  entryId,
+  userId,
+  { waist, hip, neck, chest, bodyFatPercentage, recordedAt, note }
+) => {
+  const existing = await prisma.bodyMeasurement.findFirst({
+    where: { id: entryId, userId },
+  });
+
+  if (!existing) {
+    return null;
+  }
+
+  const entry = await prisma.bodyMeasurement.update({
+    where: { id: entryId },
+    data: {
+      waist,
+      hip,
+      neck,
+      chest,
+      bodyFatPercentage,
+      recordedAt: recordedAt ? new Date(recordedAt) : undefined,
+      note,
+    },
+  });
+
+  await syncLatestBodyFat(userId);
+
+  return entry;
+};
+
+/**
+ * Delete a measurement
+ * @param {string} entryId - Entry ID
+ * @param {string} userId - User ID (for security)
+ * @returns {Promise<boolean>} - False if not found
+ */
+const deleteMeasurement = async (entryId, userId) => {
+  const { count } = await prisma.bodyMeasurement.deleteMany({
+    where: { id: entryId, userId },
+  });
+
+  if (count > 0) {
+    await syncLatestBodyFat(userId);
+  }
+
+  return count > 0;
+};
+
+/**
+ * Get measurement history with derived metrics and a body composition summary
+ * The summary uses the full history so it is the same whatever range is requested
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Query options
+ * @param {string} [options.startDate] - Only return entries from this date
+ * @param {string} [options.endDate] - Only return entries up to this date
+ * @returns {Promise<Object>} - { entries, summary }
+ */
+const getMeasurementHistory = async (userId, options = {}) => {
+  const [entries, user] = await Promise.all([
+    prisma.bodyMeasurement.findMany({
+      where: { userId },
+      orderBy: { recordedAt: "asc" },
+    }),
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: bodySelect,
+    }),
+  ]);
+
+  const derivedEntries = entries.map((entry) => withDerivedMetrics(entry, user));
+  const latestWithWaist = [...derivedEntries].reverse().find((entry) => entry.waistToHeightRatio);
+  const bodyFat = user.bodyFatPercentage;
+  const leanBodyMass = calculateLeanBodyMass(user.weight, bodyFat);
+
+  const start = options.startDate ? new Date(options.startDate) : null;
+  const end = options.endDate ? new Date(options.endDate) : null;
+
+  return {
+    entries: derivedEntries.filter(
+      (entry) => (!start || entry.recordedAt >= start) && (!end || entry.recordedAt <= end)
+    ),
+    summary: {
+      bodyFatPercentage: bodyFat,
+      leanBodyMass,
+      fatMass: leanBodyMass !== null ? Math.round((user.weight - leanBodyMass) * 10) / 10 : null,
+      // Equation the calorie goal uses; Katch-McArdle is how body fat reaches it
+      bmrFormula: resolveBMRFormula(user.bmrFormula, bodyFat),
+      waistToHeightRatio: latestWithWaist ? latestWithWaist.waistToHeightRatio : null,
+      waistToHeightCategory: latestWithWaist ? latestWithWaist.waistToHeightCategory : null,
+    },
+  };
+};
+
+module.exports = {
+  addMeasurement,
+  updateMeasurement,
+  deleteMeasurement,
+  getMeasurementHistory,
+};
@@ -5,6 +5,15 @@
 
 const { prisma } = require("../config/database");
 const { admin } = require("../config/firebase");
+const sessionService = require("./session.service");
+
+/**
+ * FCM error codes meaning a device token will never work again
+ */
+const STALE_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+];
 
 /**
  * Save a notification to the database
@@ -25,7 +34,7 @@ const saveNotification = async (data) => {
 };
 
 /**
- * Send a push notification via FCM
+ * Send a push notification via FCM to every active device of a user
  * @param {string} userId - User ID to send notification to
  * @param {Object} notification - Notification content { title, body }
  * @param {Object} [data] - Optional metadata
@@ -33,20 +42,17 @@ const saveNotification = async (data) => {
  */
 const sendPushNotification = async (userId, notification, data = {}) => {
   try {
-    // 1. Get user's FCM token from database
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { fcmToken: true }
-    });
+    // 1. Get FCM tokens of the user's logged-in devices
+    const tokens = await sessionService.getActiveFcmTokens(userId);
 
-    if (!user || !user.fcmToken) {
+    if (tokens.length === 0) {
       console.log(`[PUSH INFO] No FCM token for user ${userId}. Skipping push.`);
       return false;
     }
 
     // Check if Firebase is initialized
     if (admin.apps.length === 0) {
-      console.log(`[MOCK PUSH] To User ${userId}: ${notification.title} - ${notification.body}`);
+      console.log(`[MOCK PUSH] To User ${userId} (${tokens.length} device(s)): ${notification.title} - ${notification.body}`);
       return true;
     }
 
@@ -60,13 +66,23 @@ const sendPushNotification = async (userId, notification, data = {}) => {
         ...data,
         click_action: 'FLUTTER_NOTIFICATION_CLICK', // Common for RN/Flutter
       },
-      token: user.fcmToken,
+      tokens,
     };
 
     // 3. Send via Firebase
-    const response = await admin.messaging().send(message);
-    console.log('Successfully sent push notification:', response);
-    return true;
+    const response = await admin.messaging().sendEachForMulticast(message);
+    console.log(`Push notification sent to ${response.successCount}/${tokens.length} device(s) for user ${userId}`);
+
+    // 4. Unlink tokens of uninstalled apps so we stop sending to them
+    const staleTokens = tokens.filter((token, index) => {
+      const result = response.responses[index];
+      return !result.success && STALE_TOKEN_ERRORS.includes(result.error?.code);
+    });
+    if (staleTokens.length > 0) {
+      await sessionService.clearFcmTokens(staleTokens);
+    }
+
+    return response.successCount > 0;
   } catch (error) {
     console.error('Error sending push notification:', error);
     return false;
@@ -89,6 +105,38 @@ const createAndSendNotification = async (data) => {
   return notification;
 };
 
+/**
+ * Send a notification to every active user, optionally only those with a role
+ * Notifications are stored in one batch; pushes are sent in the background
+ * @param {Object} data - Notification data
+ * @param {string} data.title - Title
+ * @param {string} data.body - Body
+ * @param {string} [data.role] - Only send to users with this role
+ * @returns {Promise<number>} - Number of recipients
+ */
+const broadcastNotification = async ({ title, body, role }) => {
+  const users = await prisma.user.findMany({
+    where: {
+      disabledAt: null,
+      deletionScheduledAt: null,
+      ...(role && { role }),
+    },
+    select: { id: true },
+  });
+
+  await prisma.notification.createMany({
+    data: users.map((user) => ({ userId: user.id, title, body, type: 'BROADCAST' })),
+  });
+
+  (async () => {
+    for (const user of users) {
+      await sendPushNotification(user.id, { title, body }, { type: 'BROADCAST' });
+    }
+  })().catch((err) => console.error('Error sending broadcast pushes:', err));
+
+  return users.length;
+};
+
 /**
  * Get notifications for a user
  * @param {string} userId - User ID
@@ -160,6 +208,7 @@ module.exports = {
   saveNotification,
   sendPushNotification,
   createAndSendNotification,
+  broadcastNotification,
   getUserNotifications,
   markAsRead,
   markAllAsRead,
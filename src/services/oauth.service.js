@@ -0,0 +1,234 @@
+/**
+ * OAuth Service
+ * Verifies Google / Apple ID tokens and links provider identities to users
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { fileURLToPath } = require("url");
+const jwt = require("jsonwebtoken");
+const { prisma } = require("../config/database");
+const { getProviderConfig } = require("../config/oauth");
+
+/**
+ * How long a fetched key set is reused before fetching it again
+ */
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Shortest time between refetches for an unknown key ID, so junk tokens
+ * can't make us hammer the provider
+ */
+const JWKS_MIN_REFETCH_MS = 60 * 1000;
+
+// Key sets by URI: { keys, fetchedAt }
+const jwksCache = new Map();
+
+// Time of the last fetch attempt by URI, recorded before the request so
+// concurrent lookups and failed fetches count too
+const jwksFetchAttempts = new Map();
+
+/**
+ * Load a JSON Web Key Set from an https URL or a local file
+ * @param {string} jwksUri - Key set location
+ * @returns {Promise<Array<Object>>} - JWKs
+ */
+const fetchJwks = async (jwksUri) => {
+  let body;
+
+  if (/^https?:\/\//.test(jwksUri)) {
+    const response = await fetch(jwksUri);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JWKS from ${jwksUri}: ${response.status}`);
+    }
+    body = await response.json();
+  } else {
+    const filePath = jwksUri.startsWith("file:") ? fileURLToPath(jwksUri) : jwksUri;
+    body = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+  }
+
+  return body.keys || [];
+};
+
+/**
+ * Find the signing key for a token, refetching once if the key was rotated
+ * Fetches (stale cache or unknown key ID) happen at most once per JWKS_MIN_REFETCH_MS
+ * @param {string} jwksUri - Key set location
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<Object|null>} - Public KeyObject or null
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const cached = jwksCache.get(jwksUri);
+  const isFresh = cached && Date.now() - cached.fetchedAt < JWKS_CACHE_TTL_MS;
+
+  let jwk = cached ? cached.keys.find((key) => key.kid === kid) : null;
+
+  // Stale keys are only used while a refetch isn't allowed yet
+  const lastAttempt = jwksFetchAttempts.get(jwksUri) || 0;
+  const mayFetch = Date.now() - lastAttempt >= JWKS_MIN_REFETCH_MS;
+
+  if ((!isFresh || !jwk) && mayFetch) {
+    jwksFetchAttempts.set(jwksUri, Date.now());
+    const keys = await fetchJwks(jwksUri);
+    jwksCache.set(jwksUri, { keys, fetchedAt: Date.now() });
+    jwk = keys.find((key) => key.kid === kid);
+  }
+
+  return jwk ? crypto.createPublicKey({ key: jwk, format: "jwk" }) : null;
+};
+
+/**
+ * Verify a provider ID token
+ * @param {string} provider - 'google' or 'apple'
+ * @param {string} idToken - ID token from the mobile SDK
+ * @returns {Promise<Object|null>} - { providerUserId, email, emailVerified, name } or null if invalid
+ */
+const verifyIdToken = async (provider, idToken) => {
+  const config = getProviderConfig(provider);
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    return null;
+  }
+
+  const publicKey = await getSigningKey(config.jwksUri, decoded.header.kid);
+  if (!publicKey) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, publicKey, {
+      algorithms: ["RS256"],
+      issuer: config.issuers,
+      audience: config.clientIds,
+    });
+  } catch (error) {
+    console.warn(`[OAUTH] Rejected ${provider} ID token: ${error.message}`);
+    return null;
+  }
+
+  if (!claims.sub) {
+    return null;
+  }
+
+  return {
+    providerUserId: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : null,
+    // Apple sends this claim as a string
+    emailVerified: claims.email_verified === true || claims.email_verified === "true",
+    name: claims.name || null,
+  };
+};
+
+/**
+ * Find or create the user for a verified provider identity
+ * An existing account is linked automatically only when both sides have
+ * verified the same email, so an unverified sign-up cannot capture it
+ * @param {string} provider - Provider name
+ * @param {Object} identity - Result of verifyIdToken
+ * @param {Object} [profile] - Extra profile data from the client
+ * @param {string} [profile.name] - Display name (Apple only sends it to the app)
+ * @returns {Promise<Object>} - { user, isNewUser } or { conflict: true } / { missingEmail: true }
+ */
+const findOrCreateUser = async (provider, identity, profile = {}) => {
+  const account = await prisma.oAuthAccount.findUnique({
+    where: {
+      provider_providerUserId: {
+        provider,
+        providerUserId: identity.providerUserId,
+      },
+    },
+    include: { user: true },
+  });
+
+  if (account) {
+    return { user: account.user, isNewUser: false };
+  }
+
+  if (!identity.email || !identity.emailVerified) {
+    return { missingEmail: true };
+  }
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email: identity.email },
+  });
+
+  if (existingUser) {
+    if (!existingUser.emailVerified) {
+      return { conflict: true };
+    }
+
+    await linkAccount(existingUser.id, provider, identity);
+    return { user: existingUser, isNewUser: false };
+  }
+
+  const user = await prisma.user.create({
+    data: {
+      email: identity.email,
+      emailVerified: true,
+      password: null,
+      name: profile.name || identity.name || null,
+      oauthAccounts: {
+        create: {
+          provider,
+          providerUserId: identity.providerUserId,
+          email: identity.email,
+        },
+      },
+    },
+  });
+
+  return { user, isNewUser: true };
+};
+
+/**
+ * Link a provider identity to a user
+ * @param {string} userId - User ID
+ * @param {string} provider - Provider name
+ * @param {Object} identity - Result of verifyIdToken
+ * @returns {Promise<Object>} - Created OAuth account
+ */
+const linkAccount = async (userId, provider, identity) => {
+  return prisma.oAuthAccount.create({
+    data: {
+      userId,
+      provider,
+      providerUserId: identity.providerUserId,
+      email: identity.email,
+    },
+  });
+};
+
+/**
+ * List providers linked to a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Linked accounts
+ */
+const listLinkedAccounts = async (userId) => {
+  return prisma.oAuthAccount.findMany({
+    where: { userId },
+    select: { provider: true, email: true, createdAt: true },
+    orderBy: { createdAt: "asc" },
+  });
+};
+
+/**
+ * Unlink a provider from a user
+ * @param {string} userId - User ID
+ * @param {string} provider - Provider name
+ * @returns {Promise<Object>} - Delete result ({ count })
+ */
+const unlinkAccount = async (userId, provider) => {
+  return prisma.oAuthAccount.deleteMany({
+    where: { userId, provider },
+  });
+};
+
+module.exports = {
+  verifyIdToken,
+  findOrCreateUser,
+  linkAccount,
+  listLinkedAccounts,
+  unlinkAccount,
+};
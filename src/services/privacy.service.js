@@ -0,0 +1,251 @@
+/**
+ * Privacy Service
+ * Handles full data export and scheduled account deletion
+ */
+
+const { prisma } = require("../config/database");
+const { isConfigured: isCloudinaryConfigured } = require("../config/cloudinary");
+const cloudinaryService = require("./cloudinary.service");
+const sessionService = require("./session.service");
+const apiKeyService = require("./apiKey.service");
+
+/**
+ * Days a deleted account can still be restored by logging in
+ */
+const ACCOUNT_DELETION_GRACE_DAYS = 30;
+
+/**
+ * Collect everything stored about a user into a single archive
+ * Secrets (password hash, 2FA secret, token hashes) are left out
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Export archive
+ */
+const exportUserData = async (userId) => {
+  const [
+    profile,
+    meals,
+    dailySummaries,
+    weightEntries,
+    bodyMeasurements,
+    goalVersions,
+    notifications,
+    sessions,
+    linkedAccounts,
+    apiKeys,
+    geminiUsage,
+  ] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        email: true,
+        emailVerified: true,
+        role: true,
+        twoFactorEnabled: true,
+        name: true,
+        timezone: true,
+        unitSystem: true,
+        dateOfBirth: true,
+        dateOfBirthEstimated: true,
+        age: true,
+        weight: true,
+        height: true,
+        gender: true,
+        metabolicSex: true,
+        activityLevel: true,
+        goal: true,
+        bmrFormula: true,
+        bodyFatPercentage: true,
+        targetWeight: true,
+        targetDate: true,
+        targetWeeklyRate: true,
+        lifeStage: true,
+        lifeStageEndsAt: true,
+        macroPreset: true,
+        proteinPercent: true,
+        carbsPercent: true,
+        fatsPercent: true,
+        proteinGoal: true,
+        carbsGoal: true,
+        fatsGoal: true,
+        bmi: true,
+        dailyCalorieGoal: true,
+        calorieGoalMode: true,
+        adaptiveTdee: true,
+        adaptiveTdeeUpdatedAt: true,
+        dietaryPreferences: true,
+        allergens: true,
+        isOnboarded: true,
+        deletionScheduledAt: true,
+        createdAt: true,
+        updatedAt: true,
+      },
+    }),
+    prisma.meal.findMany({
+      where: { userId },
+      include: { foodItems: true },
+      orderBy: { mealDate: "asc" },
+    }),
+    prisma.dailySummary.findMany({
+      where: { userId },
+      orderBy: { date: "asc" },
+    }),
+    prisma.weightEntry.findMany({
+      where: { userId },
+      orderBy: { recordedAt: "asc" },
+    }),
+    prisma.bodyMeasurement.findMany({
+      where: { userId },
+      orderBy: { recordedAt: "asc" },
+    }),
+    prisma.goalVersion.findMany({
+      where: { userId },
+      orderBy: { effectiveFrom: "asc" },
+    }),
+    prisma.notification.findMany({
+      where: { userId },
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.session.findMany({
+      where: { userId },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true,
+        revokedAt: true,
+      },
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.oAuthAccount.findMany({
+      where: { userId },
+      select: { provider: true, email: true, createdAt: true },
+    }),
+    prisma.apiKey.findMany({
+      where: { userId },
+      select: {
+        name: true,
+        prefix: true,
+        scopes: true,
+        lastUsedAt: true,
+        expiresAt: true,
+        revokedAt: true,
+        createdAt: true,
+      },
+    }),
+    prisma.geminiUsage.findMany({
+      where: { userId },
+      select: { kind: true, success: true, createdAt: true },
+      orderBy: { createdAt: "asc" },
+    }),
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    meals,
+    dailySummaries,
+    weightEntries,
+    bodyMeasurements,
+    goalVersions,
+    notifications,
+    sessions,
+    linkedAccounts,
+    apiKeys,
+    geminiUsage,
+  };
+};
+
+/**
+ * Schedule a user's account for deletion, log out every device and revoke API keys
+ * The account and all its data are removed after the grace period
+ * @param {string} userId - User ID
+ * @returns {Promise<Date>} - When the account will be deleted
+ */
+const scheduleAccountDeletion = async (userId) => {
+  const deletionScheduledAt = new Date(
+    Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { deletionScheduledAt },
+  });
+
+  await sessionService.revokeAllSessions(userId);
+  await apiKeyService.revokeAllApiKeys(userId);
+
+  return deletionScheduledAt;
+};
+
+/**
+ * Cancel a pending account deletion (called when the user logs back in)
+ * @param {Object} user - User ({ id, deletionScheduledAt })
+ * @returns {Promise<boolean>} - True if a pending deletion was cancelled
+ */
+const cancelAccountDeletion = async (user) => {
+  if (!user.deletionScheduledAt) {
+    return false;
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { deletionScheduledAt: null },
+  });
+
+  return true;
+};
+
+/**
+ * Permanently delete accounts whose grace period has ended
+ * Meal images are removed from Cloudinary first; rows cascade from the user
+ * @returns {Promise<number>} - Number of deleted accounts
+ */
+const purgeDeletedAccounts = async () => {
+  const users = await prisma.user.findMany({
+    where: { deletionScheduledAt: { lte: new Date() } },
+    select: { id: true },
+  });
+
+  let deletedCount = 0;
+
+  for (const user of users) {
+    try {
+      if (isCloudinaryConfigured()) {
+        const meals = await prisma.meal.findMany({
+          where: { userId: user.id, imageUrl: { not: null } },
+          select: { imageUrl: true },
+        });
+
+        for (const meal of meals) {
+          const publicId = cloudinaryService.extractPublicIdFromUrl(meal.imageUrl);
+          if (publicId) {
+            await cloudinaryService.deleteImage(publicId).catch((err) => {
+              console.error("Failed to delete image from Cloudinary:", err);
+            });
+          }
+        }
+      }
+
+      // Guard against a login that cancelled the deletion in the meantime
+      const { count } = await prisma.user.deleteMany({
+        where: { id: user.id, deletionScheduledAt: { lte: new Date() } },
+      });
+      deletedCount += count;
+    } catch (error) {
+      console.error(`Failed to delete account ${user.id}:`, error);
+    }
+  }
+
+  return deletedCount;
+};
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  exportUserData,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeDeletedAccounts,
+};
@@ -0,0 +1,548 @@
+/**
+ * Profile Service
+ * Applies profile changes and keeps derived health metrics (BMI, calorie and macro goals) in sync
+ * A calorie goal set by hand (manual mode) is kept until the user switches back to auto;
+ * adaptive mode bases the goal on the TDEE estimated from the user's own logs
+ * Age is derived from the date of birth, and goals are recalculated when a birthday passes
+ * or a life stage (pregnancy, breastfeeding) ends
+ * A stored weight plan that stops being feasible (target date passed, pace no longer safe)
+ * is slowed to the safe maximum or ended, and the user is told
+ */
+
+const { prisma } = require("../config/database");
+const {
+  calculateHealthMetrics,
+  calculateMacroGoals,
+  getMaxWeeklyRate,
+} = require("./bmi.service");
+const goalHistoryService = require("./goalHistory.service");
+const notificationService = require("./notification.service");
+const {
+  MACRO_PRESETS,
+  LIFE_STAGES,
+  getAgeOnDate,
+  getLastBirthday,
+  getNextBirthday,
+} = require("../utils/constants");
+const { formatWeight } = require("../utils/units");
+
+/**
+ * Fields whose change in a request means the request is (re)setting the weight plan
+ */
+const PLAN_INPUTS = ["targetWeight", "targetDate", "targetWeeklyRate", "weight", "lifeStage"];
+
+/**
+ * Profile changes that end a weight plan
+ */
+const NO_PLAN = { targetWeight: null, targetDate: null, targetWeeklyRate: null };
+
+/**
+ * Estimate a date of birth from an age
+ * The estimate puts the next birthday six months away, so the age stays as entered for a while
+ * @param {number} age - Age in years
+ * @param {Date} [date] - Date the age was given on
+ * @returns {Date} - Calendar date at UTC midnight
+ */
+const estimateDateOfBirth = (age, date = new Date()) => new Date(Date.UTC(
+  date.getUTCFullYear() - age - 1,
+  date.getUTCMonth() + 6,
+  date.getUTCDate()
+));
+
+/**
+ * Get a profile's age on a date
+ * Profiles without a date of birth (not migrated yet) fall back to the stored age
+ * @param {Object} profile - User profile fields ({ dateOfBirth, age, timezone })
+ * @param {Date} [date] - Date to measure at
+ * @returns {number|null}
+ */
+const getProfileAge = (profile, date = new Date()) => {
+  if (profile.dateOfBirth) {
+    return getAgeOnDate(new Date(profile.dateOfBirth), date, profile.timezone);
+  }
+  return profile.age ?? null;
+};
+
+/**
+ * Get a profile's life stage if it is still active on a date
+ * @param {Object} profile - User profile fields ({ lifeStage, lifeStageEndsAt })
+ * @param {Date} [date] - Date to check
+ * @returns {string|null} - Life stage key, or null when none is set or it has ended
+ */
+const getActiveLifeStage = (profile, date = new Date()) => {
+  if (!profile.lifeStage || !LIFE_STAGES[profile.lifeStage]) {
+    return null;
+  }
+  if (profile.lifeStageEndsAt && new Date(profile.lifeStageEndsAt) <= date) {
+    return null;
+  }
+  return profile.lifeStage;
+};
+
+/**
+ * Find the closest feasible version of a stored weight plan that stopped being feasible
+ * Tries, in order: the same target at the safe maximum rate, no plan, no plan and maintain
+ * @param {Object} profile - User profile fields
+ * @param {Object} metrics - Metrics with a planError
+ * @param {Function} calculate - Metrics for profile fields
+ * @param {Date} date - Date the plan is checked on
+ * @returns {Object|null} - Metrics with planAdjustment ({ changes, message }),
+ *   or null if none of the fallbacks is feasible
+ */
+const adjustInfeasiblePlan = (profile, metrics, calculate, date) => {
+  const { weight, targetWeight, targetDate, unitSystem } = profile;
+  const target = formatWeight(targetWeight, unitSystem);
+  const reason = targetDate && new Date(targetDate) <= date
+    ? "Your target date has passed"
+    : "Your weight plan is no longer safe to follow";
+
+  const direction = targetWeight < weight ? "lose" : "gain";
+  const maxRate = Math.floor(getMaxWeeklyRate(weight, direction) * 100) / 100;
+
+  const candidates = [
+    {
+      changes: { targetDate: null, targetWeeklyRate: maxRate },
+      message: `${reason}, so your plan to reach ${target} now runs at the safe maximum of ` +
+        `${formatWeight(maxRate, unitSystem, 2)} a week.`,
+    },
+    {
+      changes: NO_PLAN,
+      message: `${reason} (${metrics.planError}), so your plan to reach ${target} has ended. ` +
+        "Set a new target whenever you're ready.",
+    },
+    {
+      changes: { ...NO_PLAN, goal: "maintain" },
+      message: `${reason} (${metrics.planError}), so your plan to reach ${target} has ended ` +
+        "and your goal is now to maintain.",
+    },
+  ];
+
+  for (const candidate of candidates) {
+    const adjusted = calculate({ ...profile, ...candidate.changes });
+    if (!adjusted.planError) {
+      return { ...adjusted, planAdjustment: candidate };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Calculate health metrics for a profile
+ * @param {Object} profile - User profile fields
+ * @param {Date} [date] - Date to calculate for (decides the age)
+ * @param {Object} [options]
+ * @param {boolean} [options.adjustPlan=true] - Fall back to a feasible version of a weight plan
+ *   that stopped being feasible; the metrics then carry planAdjustment ({ changes, message })
+ * @returns {Object|null} - Metrics, or null if a field needed for the calorie goal is missing
+ */
+const computeProfileMetrics = (profile, date = new Date(), { adjustPlan = true } = {}) => {
+  const age = getProfileAge(profile, date);
+  const {
+    weight,
+    height,
+    activityLevel,
+    goal,
+    bmrFormula,
+    bodyFatPercentage,
+    targetWeight,
+    targetDate,
+    targetWeeklyRate,
+    calorieGoalMode,
+    adaptiveTdee,
+  } = profile;
+  const lifeStage = getActiveLifeStage(profile, date);
+
+  if (!weight || !height || !age || !activityLevel) {
+    return null;
+  }
+
+  const calculate = (fields) => calculateHealthMetrics({
+    weight,
+    height,
+    age,
+    metabolicSex: profile.metabolicSex,
+    activityLevel,
+    goal: fields.goal,
+    bmrFormula,
+    bodyFatPercentage,
+    targetWeight: fields.targetWeight,
+    targetDate: fields.targetDate,
+    targetWeeklyRate: fields.targetWeeklyRate,
+    lifeStage,
+    adaptiveTdee: calorieGoalMode === "adaptive" ? adaptiveTdee : null,
+  });
+
+  const metrics = calculate({ goal, targetWeight, targetDate, targetWeeklyRate });
+
+  if (metrics.planError && targetWeight && adjustPlan) {
+    return adjustInfeasiblePlan(profile, metrics, calculate, date) || metrics;
+  }
+
+  return metrics;
+};
+
+/**
+ * Get the macro split a profile uses
+ * @param {Object} profile - User profile fields
+ * @returns {Object|null} - Percent of calories ({ protein, carbs, fats }),
+ *   or null when the user set gram goals directly
+ */
+const getMacroSplit = (profile) => {
+  if (profile.macroPreset !== "custom") {
+    return MACRO_PRESETS[profile.macroPreset] || MACRO_PRESETS.balanced;
+  }
+
+  if (profile.proteinPercent === null || profile.proteinPercent === undefined) {
+    return null;
+  }
+
+  return {
+    protein: profile.proteinPercent,
+    carbs: profile.carbsPercent,
+    fats: profile.fatsPercent,
+  };
+};
+
+/**
+ * Get a profile's daily macro goals in grams
+ * Splits are applied to the given calorie goal, so goals not stored yet are still available;
+ * an active life stage's protein allowance comes out of the goal before the split
+ * @param {Object} profile - User profile fields (macro preset, percents, gram goals and life stage)
+ * @param {number} dailyCalorieGoal - Calorie goal to split
+ * @returns {Object} - Grams per day ({ protein, carbs, fats }, null when unknown)
+ */
+const getMacroGoals = (profile, dailyCalorieGoal) => {
+  const split = getMacroSplit(profile);
+
+  if (split) {
+    const lifeStage = getActiveLifeStage(profile);
+    const macros = calculateMacroGoals(
+      dailyCalorieGoal,
+      split,
+      lifeStage ? LIFE_STAGES[lifeStage].protein : 0
+    );
+    return macros || { protein: null, carbs: null, fats: null };
+  }
+
+  return {
+    protein: profile.proteinGoal ?? null,
+    carbs: profile.carbsGoal ?? null,
+    fats: profile.fatsGoal ?? null,
+  };
+};
+
+/**
+ * Update a user's profile and recalculate BMI and calorie goal from the result
+ * Every change to a metric input should go through here
+ * @param {string} userId - User ID
+ * @param {Object} changes - Profile fields to update (undefined values are ignored);
+ *   a dailyCalorieGoal switches the calorie goal to manual mode
+ * @param {Object} [changes.macroSplit] - Custom percent split ({ protein, carbs, fats })
+ * @param {Object} [changes.macroGoals] - Custom gram goals ({ protein, carbs, fats })
+ * @param {number} [changes.age] - Deprecated: age from older clients, stored as an estimated
+ *   date of birth unless it matches the current one or a dateOfBirth is given
+ * @param {Object} [select] - Prisma select for the returned user
+ * @param {Object} [options]
+ * @param {boolean} [options.rejectUnsafePlan=true] - Refuse changes to plan inputs (PLAN_INPUTS)
+ *   that make the weight plan unsafe. Otherwise a plan that stopped being feasible is slowed
+ *   or ended (see adjustInfeasiblePlan) and the user is notified
+ * @param {Date} [options.effectiveFrom] - When the recalculated goals take effect (now by default)
+ * @returns {Promise<Object|null>} - { user, metrics }, { planError } if rejected,
+ *   or null if the user doesn't exist (metrics is null while the profile is incomplete;
+ *   metrics.planAdjustment describes a plan change made to keep it feasible)
+ */
+const applyProfileChanges = async (
+  userId,
+  changes,
+  select,
+  { rejectUnsafePlan = true, effectiveFrom = new Date() } = {}
+) => {
+  const currentUser = await prisma.user.findUnique({
+    where: { id: userId },
+  });
+
+  if (!currentUser) {
+    return null;
+  }
+
+  const { macroSplit, macroGoals, age, ...fields } = changes;
+  const data = Object.fromEntries(
+    Object.entries(fields).filter(([, value]) => value !== undefined)
+  );
+
+  // A date of birth is exact; an age only gives an estimate, and older clients resend the
+  // age they were shown, so an unchanged one keeps the date we have
+  if (data.dateOfBirth) {
+    data.dateOfBirthEstimated = false;
+  } else if (age !== undefined && age !== getProfileAge(currentUser, effectiveFrom)) {
+    data.dateOfBirth = estimateDateOfBirth(age, effectiveFrom);
+    data.dateOfBirthEstimated = true;
+  }
+  const changesPlan = PLAN_INPUTS.some((field) => data[field] !== undefined);
+
+  // A custom split or gram goals replace the preset; choosing a preset drops the custom split
+  if (macroSplit) {
+    data.macroPreset = "custom";
+    data.proteinPercent = macroSplit.protein;
+    data.carbsPercent = macroSplit.carbs;
+    data.fatsPercent = macroSplit.fats;
+  } else if (macroGoals) {
+    data.macroPreset = "custom";
+    data.proteinPercent = null;
+    data.carbsPercent = null;
+    data.fatsPercent = null;
+    data.proteinGoal = macroGoals.protein;
+    data.carbsGoal = macroGoals.carbs;
+    data.fatsGoal = macroGoals.fats;
+  } else if (data.macroPreset) {
+    data.proteinPercent = null;
+    data.carbsPercent = null;
+    data.fatsPercent = null;
+  }
+
+  // A goal entered by hand is kept until the user switches back to auto
+  if (data.dailyCalorieGoal !== undefined) {
+    data.calorieGoalMode = "manual";
+  }
+  const isManualGoal = (data.calorieGoalMode ?? currentUser.calorieGoalMode) === "manual";
+
+  // Clearing the target clears its pace; a target date and a weekly rate are alternatives
+  if (data.targetWeight === null) {
+    data.targetDate = null;
+    data.targetWeeklyRate = null;
+  }
+  if (data.targetDate) {
+    data.targetWeeklyRate = null;
+  } else if (data.targetWeeklyRate) {
+    data.targetDate = null;
+  }
+
+  // Ending a life stage clears its end date
+  if (data.lifeStage === null) {
+    data.lifeStageEndsAt = null;
+  }
+
+  // The stored age records the age the goals were calculated with, until the next birthday
+  const dateOfBirth = data.dateOfBirth ?? currentUser.dateOfBirth;
+  if (dateOfBirth) {
+    const timeZone = data.timezone ?? currentUser.timezone;
+    data.age = getProfileAge({ ...currentUser, ...data }, effectiveFrom);
+    data.nextBirthdayAt = getNextBirthday(new Date(dateOfBirth), effectiveFrom, timeZone);
+  }
+
+  // Only a request that sets the plan is refused for it; anything else keeps the plan
+  // going in the closest feasible form
+  const metrics = computeProfileMetrics({ ...currentUser, ...data }, effectiveFrom, {
+    adjustPlan: !(rejectUnsafePlan && changesPlan),
+  });
+
+  if (metrics?.planAdjustment) {
+    Object.assign(data, metrics.planAdjustment.changes);
+  }
+
+  if (metrics?.planError) {
+    if (rejectUnsafePlan) {
+      return { planError: metrics.planError };
+    }
+    data.bmi = metrics.bmi;
+
+    // The goals weren't recalculated, so keep the birthday due for another try
+    if (!data.dateOfBirth) {
+      delete data.age;
+      delete data.nextBirthdayAt;
+    }
+  } else if (metrics) {
+    data.bmi = metrics.bmi;
+    if (!isManualGoal) {
+      data.dailyCalorieGoal = metrics.dailyCalorieGoal;
+    }
+
+    // A target weight decides whether the goal is to lose or gain
+    if (metrics.plan) {
+      data.goal = metrics.plan.goal;
+    }
+  }
+
+  // Split-based macro goals follow the calorie goal; gram goals stay as the user set them
+  const merged = { ...currentUser, ...data };
+  if (getMacroSplit(merged) && merged.dailyCalorieGoal) {
+    const macros = getMacroGoals(merged, merged.dailyCalorieGoal);
+    data.proteinGoal = macros.protein;
+    data.carbsGoal = macros.carbs;
+    data.fatsGoal = macros.fats;
+  }
+
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data,
+    select,
+  });
+
+  // Version the goals so earlier days keep being judged against their own goal
+  const updated = { ...currentUser, ...data };
+  await goalHistoryService.recordGoalChange(
+    userId,
+    currentUser,
+    updated,
+    updated.timezone,
+    effectiveFrom
+  );
+
+  if (metrics?.planAdjustment) {
+    await notificationService.createAndSendNotification({
+      userId,
+      title: "Weight Plan Updated 🎯",
+      body: `${metrics.planAdjustment.message} Your daily goal is now ${updated.dailyCalorieGoal} kcal.`,
+      type: "GOAL_ADJUSTED",
+    });
+  }
+
+  return { user, metrics };
+};
+
+/**
+ * Recalculate goals for users whose next birthday (nextBirthdayAt) has started
+ * The new goals apply from the birthday in the user's time zone
+ * Users whose next birthday isn't stored yet only get it stored
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Number of users updated
+ */
+const refreshBirthdayGoals = async (now = new Date()) => {
+  const users = await prisma.user.findMany({
+    where: {
+      dateOfBirth: { not: null },
+      OR: [{ nextBirthdayAt: null }, { nextBirthdayAt: { lte: now } }],
+    },
+    select: { id: true, dateOfBirth: true, age: true, timezone: true },
+  });
+
+  let updatedCount = 0;
+
+  for (const user of users) {
+    if (getProfileAge(user, now) === user.age) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { nextBirthdayAt: getNextBirthday(user.dateOfBirth, now, user.timezone) },
+      });
+      continue;
+    }
+
+    await applyProfileChanges(user.id, {}, { id: true }, {
+      rejectUnsafePlan: false,
+      effectiveFrom: getLastBirthday(user.dateOfBirth, now, user.timezone),
+    });
+    updatedCount++;
+  }
+
+  return updatedCount;
+};
+
+/**
+ * End life stages whose end date has passed and recalculate the users' goals
+ * The new goals apply from the end date; a weight plan that still can't be followed
+ * without the stage's allowance is ended, so the allowance never outlives the stage
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Number of users updated
+ */
+const expireLifeStages = async (now = new Date()) => {
+  const users = await prisma.user.findMany({
+    where: { lifeStage: { not: null }, lifeStageEndsAt: { lte: now } },
+    select: { id: true, lifeStageEndsAt: true },
+  });
+
+  for (const user of users) {
+    const options = { rejectUnsafePlan: false, effectiveFrom: user.lifeStageEndsAt };
+    const result = await applyProfileChanges(user.id, { lifeStage: null }, { id: true }, options);
+
+    if (result?.metrics?.planError) {
+      await applyProfileChanges(user.id, { ...NO_PLAN, goal: "maintain" }, { id: true }, options);
+    }
+  }
+
+  return users.length;
+};
+
+/**
+ * Slow down or end weight plans whose target date has passed or can no longer be met safely
+ * The user is notified of the change (see applyProfileChanges)
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Number of plans adjusted
+ */
+const refreshWeightPlans = async (now = new Date()) => {
+  const users = await prisma.user.findMany({
+    where: { targetWeight: { not: null }, targetDate: { not: null } },
+  });
+
+  let adjustedCount = 0;
+
+  for (const user of users) {
+    if (!computeProfileMetrics(user, now, { adjustPlan: false })?.planError) {
+      continue;
+    }
+
+    await applyProfileChanges(user.id, {}, { id: true }, {
+      rejectUnsafePlan: false,
+      effectiveFrom: now,
+    });
+    adjustedCount++;
+  }
+
+  return adjustedCount;
+};
+
+/**
+ * Give users who only have a stored age an estimated date of birth
+ * Estimated dates are flagged (dateOfBirthEstimated) so the app can ask for the real one
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Number of users migrated
+ */
+const migrateAgesToDateOfBirth = async (now = new Date()) => {
+  const users = await prisma.user.findMany({
+    where: { dateOfBirth: null, age: { not: null } },
+    select: { id: true, age: true },
+  });
+
+  for (const user of users) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        dateOfBirth: estimateDateOfBirth(user.age, now),
+        dateOfBirthEstimated: true,
+      },
+    });
+  }
+
+  return users.length;
+};
+
+/**
+ * Set the metabolic sex of users from before it existed from their 'male' or 'female' gender
+ * Gender is free text and isn't read by the calculations, so this is the only place it counts
+ * @returns {Promise<number>} - Number of users updated
+ */
+const backfillMetabolicSex = async () => {
+  let updatedCount = 0;
+
+  for (const metabolicSex of ["male", "female"]) {
+    const { count } = await prisma.user.updateMany({
+      where: { metabolicSex: null, gender: { equals: metabolicSex, mode: "insensitive" } },
+      data: { metabolicSex },
+    });
+    updatedCount += count;
+  }
+
+  return updatedCount;
+};
+
+module.exports = {
+  getProfileAge,
+  computeProfileMetrics,
+  getMacroGoals,
+  applyProfileChanges,
+  refreshBirthdayGoals,
+  expireLifeStages,
+  refreshWeightPlans,
+  migrateAgesToDateOfBirth,
+  backfillMetabolicSex,
+};
@@ -1,47 +1,108 @@
 const cron = require('node-cron');
 const { prisma } = require('../config/database');
 const notificationService = require('./notification.service');
-const { getStartOfToday, getEndOfToday } = require('../utils/constants');
+const { activeSessionWhere } = require('./session.service');
+const { purgeDeletedAccounts } = require('./privacy.service');
+const {
+  refreshBirthdayGoals,
+  expireLifeStages,
+  refreshWeightPlans,
+} = require('./profile.service');
+const { adjustAdaptiveGoals } = require('./tdee.service');
+const { getStartOfToday, getEndOfToday, getZonedParts } = require('../utils/constants');
 
 /**
  * Scheduler Service
  * Handles periodic tasks like sending calorie reminders
  */
 
+/**
+ * Reminders by local time of day in each user's time zone
+ */
+const REMINDER_TIMES = [
+  { type: 'BREAKFAST', hour: 9, minute: 30 },
+  { type: 'LUNCH', hour: 13, minute: 30 },
+  { type: 'SNACKS', hour: 17, minute: 30 },
+  { type: 'DINNER', hour: 21, minute: 30 },
+];
+
+/**
+ * How often due reminders are checked; also fits zones offset by 15/45 minutes
+ */
+const REMINDER_CHECK_MINUTES = 15;
+
 /**
  * Initialize all cron jobs
  */
 const initializeScheduler = () => {
   console.log('🕒 Scheduler Service Initialized');
 
-  // 1. 9:30 AM - Breakfast reminder
-  cron.schedule('30 9 * * *', async () => {
-    console.log('[CRON] Running 9:30 AM Breakfast reminder');
-    await sendCalorieReminders('BREAKFAST');
-  }, {
-    timezone: 'Asia/Kolkata'
+  // 1-4. Breakfast (9:30 AM), lunch (1:30 PM), snacks (5:30 PM) and dinner (9:30 PM)
+  // reminders, sent when it is that time in each user's own time zone
+  cron.schedule(`*/${REMINDER_CHECK_MINUTES} * * * *`, async () => {
+    await sendDueReminders();
   });
 
-  // 2. 1:30 PM - Lunch status
-  cron.schedule('30 13 * * *', async () => {
-    console.log('[CRON] Running 1:30 PM Lunch status reminder');
-    await sendCalorieReminders('LUNCH');
+  // 5. 3:00 AM - Delete accounts whose deletion grace period has ended
+  cron.schedule('0 3 * * *', async () => {
+    console.log('[CRON] Running 3:00 AM account deletion purge');
+    try {
+      const deletedCount = await purgeDeletedAccounts();
+      console.log(`[CRON] Deleted ${deletedCount} account(s)`);
+    } catch (error) {
+      console.error('[CRON ERROR] Failed to purge deleted accounts:', error);
+    }
   }, {
     timezone: 'Asia/Kolkata'
   });
 
-  // 3. 5:30 PM - Snacks status
-  cron.schedule('30 17 * * *', async () => {
-    console.log('[CRON] Running 5:30 PM Snacks status reminder');
-    await sendCalorieReminders('SNACKS');
+  // 6. Hourly - Recalculate goals for users whose birthday has started in their time zone
+  cron.schedule('5 * * * *', async () => {
+    try {
+      const updatedCount = await refreshBirthdayGoals();
+      if (updatedCount > 0) {
+        console.log(`[CRON] Recalculated goals for ${updatedCount} birthday(s)`);
+      }
+    } catch (error) {
+      console.error('[CRON ERROR] Failed to recalculate birthday goals:', error);
+    }
+  });
+
+  // 7. Hourly - End life stages (pregnancy, breastfeeding) whose end date has passed
+  cron.schedule('10 * * * *', async () => {
+    try {
+      const updatedCount = await expireLifeStages();
+      if (updatedCount > 0) {
+        console.log(`[CRON] Ended ${updatedCount} expired life stage(s)`);
+      }
+    } catch (error) {
+      console.error('[CRON ERROR] Failed to end expired life stages:', error);
+    }
+  });
+
+  // 8. Monday 4:00 AM - Adjust adaptive calorie goals to the TDEE estimated from each user's logs
+  cron.schedule('0 4 * * 1', async () => {
+    console.log('[CRON] Running weekly adaptive calorie goal adjustment');
+    try {
+      const adjustedCount = await adjustAdaptiveGoals();
+      console.log(`[CRON] Adjusted adaptive goals for ${adjustedCount} user(s)`);
+    } catch (error) {
+      console.error('[CRON ERROR] Failed to adjust adaptive calorie goals:', error);
+    }
   }, {
     timezone: 'Asia/Kolkata'
   });
 
-  // 4. 9:30 PM - Dinner / End of day status
-  cron.schedule('30 21 * * *', async () => {
-    console.log('[CRON] Running 9:30 PM Dinner status reminder');
-    await sendCalorieReminders('DINNER');
+  // 9. 2:00 AM - Slow down or end weight plans whose target date passed or became unsafe
+  cron.schedule('0 2 * * *', async () => {
+    try {
+      const adjustedCount = await refreshWeightPlans();
+      if (adjustedCount > 0) {
+        console.log(`[CRON] Adjusted ${adjustedCount} infeasible weight plan(s)`);
+      }
+    } catch (error) {
+      console.error('[CRON ERROR] Failed to adjust weight plans:', error);
+    }
   }, {
     timezone: 'Asia/Kolkata'
   });
@@ -49,29 +110,77 @@ const initializeScheduler = () => {
 };
 
 /**
- * Send calorie reminders to all users with FCM tokens
- * @param {string} type - Time of day (BREAKFAST, LUNCH, SNACKS, DINNER)
+ * Find the reminder due for a user at a moment, if any
+ * A reminder is due during the check interval that starts at its local time
+ * @param {Date} now - Current time
+ * @param {string} timeZone - User's time zone
+ * @returns {string|null} - Reminder type
+ */
+const getDueReminderType = (now, timeZone) => {
+  const { hour, minute } = getZonedParts(now, timeZone);
+  const minuteOfDay = hour * 60 + minute;
+
+  const due = REMINDER_TIMES.find(({ hour: reminderHour, minute: reminderMinute }) => {
+    const reminderMinuteOfDay = reminderHour * 60 + reminderMinute;
+    return minuteOfDay >= reminderMinuteOfDay &&
+      minuteOfDay < reminderMinuteOfDay + REMINDER_CHECK_MINUTES;
+  });
+
+  return due ? due.type : null;
+};
+
+/**
+ * Send the reminders that are due now in each user's time zone
+ * @param {Date} [now] - Current time
  */
-const sendCalorieReminders = async (type) => {
+const sendDueReminders = async (now = new Date()) => {
   try {
-    // 1. Get all users who have an FCM token
+    // Get all users logged in on at least one device with an FCM token
     const users = await prisma.user.findMany({
       where: {
-        fcmToken: { not: null },
+        sessions: {
+          some: {
+            fcmToken: { not: null },
+            ...activeSessionWhere(),
+          },
+        },
       },
       select: {
         id: true,
-        fcmToken: true,
         dailyCalorieGoal: true,
+        timezone: true,
       }
     });
 
-    console.log(`[CRON] Found ${users.length} users with FCM tokens for ${type} reminder`);
+    const usersByType = new Map();
+    for (const user of users) {
+      const type = getDueReminderType(now, user.timezone);
+      if (type) {
+        usersByType.set(type, [...(usersByType.get(type) || []), user]);
+      }
+    }
 
-    const todayStart = getStartOfToday();
-    const todayEnd = getEndOfToday();
+    for (const [type, dueUsers] of usersByType) {
+      console.log(`[CRON] Sending ${type} reminder to ${dueUsers.length} user(s)`);
+      await sendCalorieReminders(type, dueUsers);
+    }
+  } catch (error) {
+    console.error('[CRON ERROR] Failed to check due reminders:', error);
+  }
+};
 
+/**
+ * Send calorie reminders to users with a push-enabled device
+ * @param {string} type - Time of day (BREAKFAST, LUNCH, SNACKS, DINNER)
+ * @param {Array<Object>} users - Users ({ id, dailyCalorieGoal, timezone })
+ */
+const sendCalorieReminders = async (type, users) => {
+  try {
     for (const user of users) {
+      // 1. "Today" is the user's own calendar day
+      const todayStart = getStartOfToday(user.timezone);
+      const todayEnd = getEndOfToday(user.timezone);
+
       // 2. Get today's calorie summary for the user
       const dailySummary = await prisma.dailySummary.findFirst({
         where: {
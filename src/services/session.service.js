@@ -0,0 +1,358 @@
+/**
+ * Session Service
+ * Persists login sessions (one per device), rotates their refresh tokens
+ * and tracks the push token linked to each device
+ */
+
+const { prisma } = require("../config/database");
+const {
+  generateToken,
+  generateSecureToken,
+  hashToken,
+  getRefreshTokenExpiry,
+} = require("./auth.service");
+
+/**
+ * How often authenticated requests refresh a session's last-seen timestamp
+ */
+const LAST_SEEN_THROTTLE_MS = 5 * 60 * 1000;
+
+/**
+ * Filter matching sessions that can still be used
+ * @returns {Object} - Prisma where clause
+ */
+const activeSessionWhere = () => ({
+  revokedAt: null,
+  expiresAt: { gt: new Date() },
+});
+
+/**
+ * Build the access/refresh token pair for a session
+ * @param {Object} user - User the session belongs to
+ * @param {string} sessionId - Session ID
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Object} - Token pair
+ */
+const buildTokens = (user, sessionId, refreshToken) => {
+  const token = generateToken({
+    userId: user.id,
+    email: user.email,
+    sessionId,
+  });
+
+  return { token, refreshToken };
+};
+
+/**
+ * Create a new session for a user and issue its tokens
+ * A push token left on the user from before tokens were per device moves to this session
+ * @param {Object} user - User (must include id and email)
+ * @param {Object} [meta] - Request metadata
+ * @param {string} [meta.userAgent] - Client user agent
+ * @param {string} [meta.ipAddress] - Client IP address
+ * @returns {Promise<Object>} - { session, token, refreshToken }
+ */
+const createSession = async (user, meta = {}) => {
+  const refreshToken = generateSecureToken();
+
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      refreshTokenHash: hashToken(refreshToken),
+      userAgent: meta.userAgent || null,
+      ipAddress: meta.ipAddress || null,
+      expiresAt: getRefreshTokenExpiry(),
+    },
+  });
+
+  const { fcmToken: legacyFcmToken } = await prisma.user.findUnique({
+    where: { id: user.id },
+    select: { fcmToken: true },
+  }) || {};
+
+  if (legacyFcmToken) {
+    await adoptLegacyFcmToken(user.id, session.id, legacyFcmToken);
+  }
+
+  return {
+    session,
+    ...buildTokens(user, session.id, refreshToken),
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * The presented token is rotated out; presenting it again revokes the session
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} [meta] - Request metadata
+ * @returns {Promise<Object|null>} - { session, token, refreshToken } or null if invalid
+ */
+const rotateSession = async (refreshToken, meta = {}) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: tokenHash },
+    include: {
+      user: { select: { id: true, email: true } },
+    },
+  });
+
+  if (!session) {
+    // A rotated-out token being replayed means it was likely stolen
+    const reused = await prisma.session.findFirst({
+      where: { previousRefreshTokenHash: tokenHash, revokedAt: null },
+      select: { id: true },
+    });
+
+    if (reused) {
+      console.warn(`[AUTH] Refresh token reuse detected, revoking session ${reused.id}`);
+      await revokeSession(reused.id);
+    }
+    return null;
+  }
+
+  if (session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const newRefreshToken = generateSecureToken();
+  const { user, ...currentSession } = session;
+  const data = {
+    refreshTokenHash: hashToken(newRefreshToken),
+    previousRefreshTokenHash: tokenHash,
+    expiresAt: getRefreshTokenExpiry(),
+    lastUsedAt: new Date(),
+    userAgent: meta.userAgent || session.userAgent,
+    ipAddress: meta.ipAddress || session.ipAddress,
+  };
+
+  // Only swap while the presented token is still current, so two refreshes with one token
+  // can't both succeed; losing that race is treated as reuse
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash, revokedAt: null },
+    data,
+  });
+
+  if (count === 0) {
+    console.warn(`[AUTH] Concurrent refresh token reuse detected, revoking session ${session.id}`);
+    await revokeSession(session.id);
+    return null;
+  }
+
+  return {
+    session: { ...currentSession, ...data },
+    ...buildTokens(user, session.id, newRefreshToken),
+  };
+};
+
+/**
+ * Find an active (not revoked, not expired) session
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - Expected owner of the session
+ * @returns {Promise<Object|null>} - Session or null
+ */
+const findActiveSession = async (sessionId, userId) => {
+  if (!sessionId) {
+    return null;
+  }
+
+  return prisma.session.findFirst({
+    where: {
+      id: sessionId,
+      userId,
+      ...activeSessionWhere(),
+    },
+  });
+};
+
+/**
+ * Record activity on a session, at most once per throttle window
+ * @param {Object} session - Session loaded by findActiveSession
+ * @returns {Promise<void>}
+ */
+const touchSession = async (session) => {
+  if (Date.now() - session.lastUsedAt.getTime() < LAST_SEEN_THROTTLE_MS) {
+    return;
+  }
+
+  await prisma.session.update({
+    where: { id: session.id },
+    data: { lastUsedAt: new Date() },
+  });
+};
+
+/**
+ * List a user's active sessions (devices)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Sessions, most recently used first
+ */
+const listActiveSessions = async (userId) => {
+  return prisma.session.findMany({
+    where: {
+      userId,
+      ...activeSessionWhere(),
+    },
+    select: {
+      id: true,
+      userAgent: true,
+      ipAddress: true,
+      fcmToken: true,
+      lastUsedAt: true,
+      createdAt: true,
+      expiresAt: true,
+    },
+    orderBy: { lastUsedAt: "desc" },
+  });
+};
+
+/**
+ * Revoke a single session
+ * The device's push token is dropped so a logged-out device stops receiving notifications
+ * @param {string} sessionId - Session ID
+ * @param {string} [userId] - Restrict to sessions owned by this user
+ * @returns {Promise<Object>} - Update result ({ count })
+ */
+const revokeSession = async (sessionId, userId) => {
+  return prisma.session.updateMany({
+    where: {
+      id: sessionId,
+      revokedAt: null,
+      ...(userId && { userId }),
+    },
+    data: { revokedAt: new Date(), fcmToken: null },
+  });
+};
+
+/**
+ * Revoke all of a user's sessions
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Session to keep alive (e.g. the current one)
+ * @returns {Promise<Object>} - Update result ({ count })
+ */
+const revokeAllSessions = async (userId, options = {}) => {
+  return prisma.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(options.exceptSessionId && { id: { not: options.exceptSessionId } }),
+    },
+    data: { revokedAt: new Date(), fcmToken: null },
+  });
+};
+
+/**
+ * Link a device push token to a session
+ * A token identifies one physical device, so it is detached from any other
+ * session (e.g. a previous account on the same phone) before being linked here
+ * @param {string} sessionId - Session ID
+ * @param {string} fcmToken - Firebase Cloud Messaging token
+ * @returns {Promise<Object>} - Updated session
+ */
+const setSessionFcmToken = async (sessionId, fcmToken) => {
+  const [, session] = await prisma.$transaction([
+    prisma.session.updateMany({
+      where: { fcmToken, id: { not: sessionId } },
+      data: { fcmToken: null },
+    }),
+    prisma.session.update({
+      where: { id: sessionId },
+      data: { fcmToken },
+    }),
+  ]);
+
+  return session;
+};
+
+/**
+ * Get push tokens for all of a user's active devices
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} - FCM tokens
+ */
+const getActiveFcmTokens = async (userId) => {
+  const sessions = await prisma.session.findMany({
+    where: {
+      userId,
+      fcmToken: { not: null },
+      ...activeSessionWhere(),
+    },
+    select: { fcmToken: true },
+  });
+
+  return [...new Set(sessions.map((s) => s.fcmToken))];
+};
+
+/**
+ * Link a push token stored on a user to one of their sessions and clear it from the user
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session to link the token to
+ * @param {string} fcmToken - Token stored on the user
+ * @returns {Promise<void>}
+ */
+const adoptLegacyFcmToken = async (userId, sessionId, fcmToken) => {
+  await setSessionFcmToken(sessionId, fcmToken);
+  await prisma.user.update({
+    where: { id: userId },
+    data: { fcmToken: null },
+  });
+};
+
+/**
+ * Move push tokens stored on users (from before tokens were per device) to each
+ * user's most recently used session
+ * Users without an active session keep theirs until their next login (see createSession);
+ * a session that already registered a token keeps its own
+ * @returns {Promise<number>} - Number of tokens moved
+ */
+const migrateUserFcmTokens = async () => {
+  const users = await prisma.user.findMany({
+    where: { fcmToken: { not: null } },
+    select: { id: true, fcmToken: true },
+  });
+
+  let movedCount = 0;
+
+  for (const user of users) {
+    const session = await prisma.session.findFirst({
+      where: { userId: user.id, ...activeSessionWhere() },
+      orderBy: { lastUsedAt: "desc" },
+      select: { id: true, fcmToken: true },
+    });
+
+    if (!session) {
+      continue;
+    }
+
+    await adoptLegacyFcmToken(user.id, session.id, session.fcmToken || user.fcmToken);
+    movedCount++;
+  }
+
+  return movedCount;
+};
+
+/**
+ * Unlink push tokens that FCM reported as no longer registered
+ * @param {Array<string>} fcmTokens - Stale tokens
+ * @returns {Promise<Object>} - Update result
+ */
+const clearFcmTokens = async (fcmTokens) => {
+  return prisma.session.updateMany({
+    where: { fcmToken: { in: fcmTokens } },
+    data: { fcmToken: null },
+  });
+};
+
+module.exports = {
+  activeSessionWhere,
+  createSession,
+  rotateSession,
+  findActiveSession,
+  touchSession,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+  setSessionFcmToken,
+  getActiveFcmTokens,
+  clearFcmTokens,
+  migrateUserFcmTokens,
+};
@@ -0,0 +1,197 @@
+/**
+ * TDEE Service
+ * Estimates a user's real maintenance calories (TDEE) from energy balance:
+ * average logged intake corrected by the change in trend weight over the same weeks.
+ * Users in adaptive mode get the estimate applied to their calorie goal once a week.
+ */
+
+const { prisma } = require("../config/database");
+const notificationService = require("./notification.service");
+const { applyProfileChanges, computeProfileMetrics } = require("./profile.service");
+const { withTrend, calculateWeeklyRate } = require("./weight.service");
+const { estimateTdeeFromEnergyBalance } = require("./bmi.service");
+const { getStartOfDay, addDays } = require("../utils/constants");
+
+/**
+ * Days of logs the estimate uses
+ */
+const TDEE_WINDOW_DAYS = 28;
+
+/**
+ * Days with logged meals needed in the window for an estimate
+ */
+const MIN_LOGGED_DAYS = 14;
+
+/**
+ * Shortest span of weigh-ins in the window that gives an estimate (days)
+ */
+const MIN_WEIGH_IN_SPAN_DAYS = 14;
+
+/**
+ * Largest weekly move of the adaptive TDEE, so one noisy week can't swing the goal (kcal)
+ */
+const MAX_WEEKLY_TDEE_CHANGE = 200;
+
+/**
+ * Smallest difference from the current TDEE worth adjusting for (kcal)
+ */
+const MIN_TDEE_ADJUSTMENT = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Estimate a user's TDEE from the last four complete weeks of logs
+ * Only days with logged meals count towards the average intake; today is left out
+ * because it isn't over yet
+ * @param {string} userId - User ID
+ * @param {string} [timeZone] - User's time zone (decides where days start)
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} - { estimatedTdee (null with too little data), averageIntake,
+ *   weeklyRate, loggedDays, weighInSpanDays, windowDays, requirements }
+ */
+const estimateTdee = async (userId, timeZone, now = new Date()) => {
+  const windowEnd = getStartOfDay(now, timeZone);
+  const windowStart = addDays(windowEnd, -TDEE_WINDOW_DAYS, timeZone);
+
+  const [summaries, weightEntries] = await Promise.all([
+    prisma.dailySummary.findMany({
+      where: {
+        userId,
+        date: { gte: windowStart, lt: windowEnd },
+        mealsCount: { gt: 0 },
+      },
+      select: { totalCalories: true },
+    }),
+    prisma.weightEntry.findMany({
+      where: { userId, recordedAt: { lt: windowEnd } },
+      orderBy: { recordedAt: "asc" },
+    }),
+  ]);
+
+  // The trend runs over the full history so the window starts from a settled value; the rate
+  // only uses the window's weigh-ins, so intake and weight change cover the same days
+  const trendEntries = withTrend(weightEntries);
+  const windowEntries = trendEntries.filter((entry) => entry.recordedAt >= windowStart);
+  const weighInSpanDays = windowEntries.length > 1
+    ? Math.floor((windowEntries[windowEntries.length - 1].recordedAt - windowEntries[0].recordedAt) / DAY_MS)
+    : 0;
+
+  const loggedDays = summaries.length;
+  const averageIntake = loggedDays > 0
+    ? Math.round(summaries.reduce((sum, summary) => sum + summary.totalCalories, 0) / loggedDays)
+    : null;
+  const weeklyRate = weighInSpanDays > 0 ? calculateWeeklyRate(windowEntries) : null;
+
+  const hasEnoughData = loggedDays >= MIN_LOGGED_DAYS && weighInSpanDays >= MIN_WEIGH_IN_SPAN_DAYS;
+
+  return {
+    estimatedTdee: hasEnoughData ? estimateTdeeFromEnergyBalance(averageIntake, weeklyRate) : null,
+    averageIntake,
+    weeklyRate,
+    loggedDays,
+    weighInSpanDays,
+    windowDays: TDEE_WINDOW_DAYS,
+    requirements: {
+      loggedDays: MIN_LOGGED_DAYS,
+      weighInSpanDays: MIN_WEIGH_IN_SPAN_DAYS,
+    },
+  };
+};
+
+/**
+ * Get a user's formula TDEE alongside the one estimated from their logs
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - { formulaTdee, estimate, calorieGoalMode, adaptiveTdee,
+ *   adaptiveTdeeUpdatedAt, dailyCalorieGoal }, or null if the user doesn't exist
+ */
+const getTdeeSummary = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+  });
+
+  if (!user) {
+    return null;
+  }
+
+  const metrics = computeProfileMetrics(user);
+  const estimate = await estimateTdee(userId, user.timezone);
+
+  return {
+    formulaTdee: metrics ? metrics.tdee : null,
+    estimate,
+    calorieGoalMode: user.calorieGoalMode,
+    adaptiveTdee: user.adaptiveTdee,
+    adaptiveTdeeUpdatedAt: user.adaptiveTdeeUpdatedAt,
+    dailyCalorieGoal: user.dailyCalorieGoal,
+  };
+};
+
+/**
+ * Move the TDEE of users in adaptive mode towards their latest estimate and
+ * let them know when that changes their calorie goal
+ * The first adjustment starts from the formula TDEE
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} - Number of users whose TDEE was adjusted
+ */
+const adjustAdaptiveGoals = async (now = new Date()) => {
+  const users = await prisma.user.findMany({
+    where: { calorieGoalMode: "adaptive", isOnboarded: true },
+  });
+
+  let adjustedCount = 0;
+
+  for (const user of users) {
+    const { estimatedTdee } = await estimateTdee(user.id, user.timezone, now);
+    const metrics = computeProfileMetrics(user, now);
+    const currentTdee = user.adaptiveTdee ?? metrics?.tdee;
+
+    if (!estimatedTdee || !currentTdee || Math.abs(estimatedTdee - currentTdee) < MIN_TDEE_ADJUSTMENT) {
+      continue;
+    }
+
+    const change = Math.max(
+      -MAX_WEEKLY_TDEE_CHANGE,
+      Math.min(MAX_WEEKLY_TDEE_CHANGE, estimatedTdee - currentTdee)
+    );
+    const adaptiveTdee = currentTdee + change;
+
+    const result = await applyProfileChanges(
+      user.id,
+      { adaptiveTdee, adaptiveTdeeUpdatedAt: now },
+      { dailyCalorieGoal: true },
+      { rejectUnsafePlan: false, effectiveFrom: now }
+    );
+    adjustedCount++;
+
+    const newGoal = result?.user?.dailyCalorieGoal;
+    if (newGoal && user.dailyCalorieGoal && newGoal !== user.dailyCalorieGoal) {
+      const capped = adaptiveTdee !== estimatedTdee
+        ? ` We moved it by ${Math.abs(change)} kcal this week and will keep adjusting.`
+        : "";
+
+      await notificationService.createAndSendNotification({
+        userId: user.id,
+        title: "Calorie Goal Updated 📊",
+        body:
+          `Your last ${TDEE_WINDOW_DAYS / 7} weeks of meals and weigh-ins put your maintenance ` +
+          `at about ${estimatedTdee} kcal a day.${capped} ` +
+          `Your daily goal changed from ${user.dailyCalorieGoal} to ${newGoal} kcal.`,
+        type: "GOAL_ADJUSTED",
+        metadata: {
+          estimatedTdee: estimatedTdee.toString(),
+          adaptiveTdee: adaptiveTdee.toString(),
+          previousGoal: user.dailyCalorieGoal.toString(),
+          newGoal: newGoal.toString(),
+        },
+      });
+    }
+  }
+
+  return adjustedCount;
+};
+
+module.exports = {
+  estimateTdee,
+  getTdeeSummary,
+  adjustAdaptiveGoals,
+};
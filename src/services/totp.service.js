@@ -0,0 +1,239 @@
+/**
+ * TOTP Two-Factor Service
+ * Handles authenticator app enrollment, code checks, recovery codes and login challenges
+ * TOTP codes and login challenges are single use so they can't be replayed
+ */
+
+const crypto = require("crypto");
+const { authenticator } = require("otplib");
+const { prisma } = require("../config/database");
+const { hashToken, generateChallengeToken } = require("./auth.service");
+
+// Accept the previous and next 30s step to tolerate clock drift on phones
+authenticator.options = { window: 1 };
+
+/**
+ * Number of recovery codes issued per user
+ */
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Normalize a recovery code as typed by a user (case, dashes, spaces)
+ * @param {string} code - Raw code
+ * @returns {string}
+ */
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, "").toLowerCase();
+
+/**
+ * Generate a fresh set of recovery codes and replace the stored hashes
+ * @param {string} userId - User ID
+ * @param {Object} [tx] - Prisma transaction client
+ * @returns {Promise<Array<string>>} - Plain codes (shown to the user once)
+ */
+const replaceRecoveryCodes = async (userId, tx = prisma) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await tx.twoFactorRecoveryCode.deleteMany({ where: { userId } });
+  await tx.twoFactorRecoveryCode.createMany({
+    data: codes.map((code) => ({
+      userId,
+      codeHash: hashToken(normalizeRecoveryCode(code)),
+    })),
+  });
+
+  return codes;
+};
+
+/**
+ * Check a TOTP code and use it up
+ * The code's time step is recorded, so the same code (or an older one) is refused afterwards
+ * @param {string} userId - User ID
+ * @param {string} secret - TOTP secret
+ * @param {string} code - 6-digit TOTP code
+ * @returns {Promise<boolean>}
+ */
+const consumeTotpCode = async (userId, secret, code) => {
+  const now = Date.now();
+  const delta = authenticator.clone({ epoch: now }).checkDelta(code, secret);
+
+  if (delta === null) {
+    return false;
+  }
+
+  const step = Math.floor(now / 1000 / authenticator.allOptions().step) + delta;
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: userId,
+      OR: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { lt: step } }],
+    },
+    data: { twoFactorLastUsedStep: step },
+  });
+
+  return count > 0;
+};
+
+/**
+ * Start enrollment by generating a new secret for the user's authenticator app
+ * @param {Object} user - User ({ id, email })
+ * @returns {Promise<Object>} - { secret, otpauthUri }
+ */
+const startEnrollment = async (user) => {
+  const secret = authenticator.generateSecret(20);
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorSecret: secret },
+  });
+
+  const issuer = process.env.TOTP_ISSUER || "Calorie Tracker";
+
+  return {
+    secret,
+    otpauthUri: authenticator.keyuri(user.email, issuer, secret),
+  };
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app and turn 2FA on
+ * @param {string} userId - User ID
+ * @param {string} code - 6-digit TOTP code
+ * @returns {Promise<Array<string>|null>} - Recovery codes, or null if the code is wrong
+ */
+const confirmEnrollment = async (userId, code) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { twoFactorSecret: true },
+  });
+
+  if (!user?.twoFactorSecret || !(await consumeTotpCode(userId, user.twoFactorSecret, code))) {
+    return null;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: userId },
+      data: { twoFactorEnabled: true },
+    });
+
+    return replaceRecoveryCodes(userId, tx);
+  });
+};
+
+/**
+ * Check a second factor: either a TOTP code or an unused recovery code
+ * Either is consumed when it matches
+ * @param {Object} user - User ({ id, twoFactorSecret })
+ * @param {Object} factor
+ * @param {string} [factor.code] - 6-digit TOTP code
+ * @param {string} [factor.recoveryCode] - Backup recovery code
+ * @returns {Promise<boolean>}
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    return !!user.twoFactorSecret && consumeTotpCode(user.id, user.twoFactorSecret, code);
+  }
+
+  if (recoveryCode) {
+    const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+      where: {
+        userId: user.id,
+        codeHash: hashToken(normalizeRecoveryCode(recoveryCode)),
+        usedAt: null,
+      },
+      data: { usedAt: new Date() },
+    });
+    return count > 0;
+  }
+
+  return false;
+};
+
+/**
+ * Start a 2FA login challenge, replacing any pending one
+ * @param {string} userId - User who passed the first factor
+ * @returns {Promise<string>} - Challenge token for the second step
+ */
+const createLoginChallenge = async (userId) => {
+  const challengeId = crypto.randomUUID();
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { twoFactorChallengeId: challengeId },
+  });
+
+  return generateChallengeToken(userId, challengeId);
+};
+
+/**
+ * Check that a challenge is the user's pending one
+ * @param {Object} user - User ({ twoFactorChallengeId })
+ * @param {Object} challenge - Decoded challenge token
+ * @returns {boolean}
+ */
+const isPendingChallenge = (user, challenge) =>
+  !!user.twoFactorChallengeId && user.twoFactorChallengeId === challenge.challengeId;
+
+/**
+ * Use up a pending challenge once the second factor passed
+ * @param {Object} challenge - Decoded challenge token
+ * @returns {Promise<boolean>} - False if it was already used (replayed)
+ */
+const consumeLoginChallenge = async (challenge) => {
+  const { count } = await prisma.user.updateMany({
+    where: { id: challenge.userId, twoFactorChallengeId: challenge.challengeId },
+    data: { twoFactorChallengeId: null },
+  });
+
+  return count > 0;
+};
+
+/**
+ * Issue a new set of recovery codes, invalidating the old ones
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} - Plain codes
+ */
+const regenerateRecoveryCodes = async (userId) => {
+  return prisma.$transaction((tx) => replaceRecoveryCodes(userId, tx));
+};
+
+/**
+ * Count recovery codes that have not been used yet
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+const countRemainingRecoveryCodes = async (userId) => {
+  return prisma.twoFactorRecoveryCode.count({
+    where: { userId, usedAt: null },
+  });
+};
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const disable = async (userId) => {
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: { twoFactorEnabled: false, twoFactorSecret: null, twoFactorChallengeId: null },
+    }),
+    prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+  ]);
+};
+
+module.exports = {
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  createLoginChallenge,
+  isPendingChallenge,
+  consumeLoginChallenge,
+  regenerateRecoveryCodes,
+  countRemainingRecoveryCodes,
+  disable,
+};
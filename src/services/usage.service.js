@@ -0,0 +1,76 @@
+/**
+ * Usage Service
+ * Records and aggregates Gemini food analysis requests
+ */
+
+const { prisma } = require("../config/database");
+
+/**
+ * Record one Gemini analysis request
+ * @param {string} userId - User who triggered the request
+ * @param {Object} usage
+ * @param {string} usage.kind - 'image' or 'text'
+ * @param {boolean} usage.success - Whether Gemini returned a usable result
+ * @returns {Promise<Object>} - Created usage row
+ */
+const recordGeminiUsage = async (userId, { kind, success }) => {
+  return prisma.geminiUsage.create({
+    data: { userId, kind, success },
+  });
+};
+
+/**
+ * Summarize Gemini usage over the last N days
+ * @param {number} days - Number of days to look back
+ * @param {number} [topUsersLimit=10] - How many of the heaviest users to include
+ * @returns {Promise<Object>} - { since, totals, byKind, topUsers }
+ */
+const getGeminiUsageStats = async (days, topUsersLimit = 10) => {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const where = { createdAt: { gte: since } };
+
+  const [byKindAndResult, byUser] = await Promise.all([
+    prisma.geminiUsage.groupBy({
+      by: ["kind", "success"],
+      where,
+      _count: { _all: true },
+    }),
+    prisma.geminiUsage.groupBy({
+      by: ["userId"],
+      where,
+      _count: { _all: true },
+      orderBy: { _count: { userId: "desc" } },
+      take: topUsersLimit,
+    }),
+  ]);
+
+  const byKind = {};
+  const totals = { requests: 0, failed: 0 };
+
+  for (const row of byKindAndResult) {
+    const count = row._count._all;
+    byKind[row.kind] = (byKind[row.kind] || 0) + count;
+    totals.requests += count;
+    if (!row.success) {
+      totals.failed += count;
+    }
+  }
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: byUser.map((row) => row.userId) } },
+    select: { id: true, email: true, name: true },
+  });
+  const usersById = new Map(users.map((user) => [user.id, user]));
+
+  const topUsers = byUser.map((row) => ({
+    user: usersById.get(row.userId) || { id: row.userId },
+    requests: row._count._all,
+  }));
+
+  return { since, totals, byKind, topUsers };
+};
+
+module.exports = {
+  recordGeminiUsage,
+  getGeminiUsageStats,
+};
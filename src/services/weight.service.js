@@ -0,0 +1,312 @@
+/**
+ * Weight Service
+ * Weight log history, trend smoothing and keeping User.weight on the latest entry
+ */
+
+const { prisma } = require("../config/database");
+const { applyProfileChanges } = require("./profile.service");
+
+/**
+ * Share of the gap between trend and a new weigh-in closed per day
+ * (the classic 10% exponential moving average)
+ */
+const TREND_SMOOTHING_PER_DAY = 0.1;
+
+/**
+ * Days of trend used to estimate the weekly rate of change
+ */
+const RATE_WINDOW_DAYS = 28;
+
+/**
+ * Shortest span of entries that gives a meaningful rate (days)
+ */
+const MIN_RATE_SPAN_DAYS = 3;
+
+/**
+ * Weekly change still counted as maintaining (kg)
+ */
+const MAINTAIN_TOLERANCE_KG_PER_WEEK = 0.25;
+
+/**
+ * Largest difference still counted as the same weight (kg); imperial weights come back
+ * rounded to 0.1 lb, so resending one lands within this of the stored value
+ */
+const SAME_WEIGHT_TOLERANCE_KG = 0.03;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round to 2 decimal places
+ * @param {number} value
+ * @returns {number}
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Add an exponentially smoothed trend weight to each entry
+ * The smoothing is time-aware so gaps between weigh-ins move the trend further;
+ * entries less than a day apart count as one day
+ * @param {Array} entries - Entries sorted by recordedAt ascending
+ * @returns {Array} - Entries with trendWeight
+ */
+const withTrend = (entries) => {
+  let trend = null;
+  let previousDate = null;
+
+  return entries.map((entry) => {
+    if (trend === null) {
+      trend = entry.weight;
+    } else {
+      const days = Math.max((entry.recordedAt - previousDate) / DAY_MS, 1);
+      const alpha = 1 - Math.pow(1 - TREND_SMOOTHING_PER_DAY, days);
+      trend += alpha * (entry.weight - trend);
+    }
+    previousDate = entry.recordedAt;
+
+    return { ...entry, trendWeight: round2(trend) };
+  });
+};
+
+/**
+ * Estimate the weekly rate of change from the recent trend (least-squares slope)
+ * @param {Array} trendEntries - Result of withTrend
+ * @returns {number|null} - kg per week (negative when losing), or null with too little data
+ */
+const calculateWeeklyRate = (trendEntries) => {
+  if (trendEntries.length < 2) {
+    return null;
+  }
+
+  const latest = trendEntries[trendEntries.length - 1].recordedAt;
+  const windowStart = latest - RATE_WINDOW_DAYS * DAY_MS;
+  const points = trendEntries
+    .filter((entry) => entry.recordedAt >= windowStart)
+    .map((entry) => ({ x: (entry.recordedAt - windowStart) / DAY_MS, y: entry.trendWeight }));
+
+  if (points.length < 2 || points[points.length - 1].x - points[0].x < MIN_RATE_SPAN_DAYS) {
+    return null;
+  }
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const covariance = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+  const variance = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+
+  return round2((covariance / variance) * 7);
+};
+
+/**
+ * Check whether the weekly rate matches the user's goal
+ * @param {number|null} weeklyRate - kg per week
+ * @param {string|null} goal - 'lose', 'gain' or 'maintain'
+ * @returns {boolean|null} - null when it can't be judged yet
+ */
+const isRateOnTrack = (weeklyRate, goal) => {
+  if (weeklyRate === null || !goal) {
+    return null;
+  }
+
+  if (goal === "lose") return weeklyRate < 0;
+  if (goal === "gain") return weeklyRate > 0;
+  return Math.abs(weeklyRate) <= MAINTAIN_TOLERANCE_KG_PER_WEEK;
+};
+
+/**
+ * Check whether a submitted weight is the one already stored
+ * @param {number} weight - Submitted weight in kg
+ * @param {number|null} storedWeight - Current profile weight in kg
+ * @returns {boolean}
+ */
+const isSameWeight = (weight, storedWeight) =>
+  typeof storedWeight === "number" && Math.abs(weight - storedWeight) < SAME_WEIGHT_TOLERANCE_KG;
+
+/**
+ * Insert a weigh-in without touching the profile
+ * For callers that update User.weight themselves (profile update, onboarding)
+ * @param {string} userId - User ID
+ * @param {number} weight - Weight in kg
+ * @returns {Promise<Object>} - Created entry
+ */
+const recordWeight = async (userId, weight) => {
+  return prisma.weightEntry.create({
+    data: { userId, weight, recordedAt: new Date() },
+  });
+};
+
+/**
+ * Give users whose profile weight predates the weight log a first entry with it
+ * It is dated when the profile was last saved, the latest time the weight is known to be current
+ * @returns {Promise<number>} - Number of users seeded
+ */
+const seedWeightEntriesFromProfiles = async () => {
+  const users = await prisma.user.findMany({
+    where: { weight: { not: null }, weightEntries: { none: {} } },
+    select: { id: true, weight: true, updatedAt: true },
+  });
+
+  if (users.length > 0) {
+    await prisma.weightEntry.createMany({
+      data: users.map((user) => ({
+        userId: user.id,
+        weight: user.weight,
+        recordedAt: user.updatedAt,
+        note: "Starting weight from profile",
+      })),
+    });
+  }
+
+  return users.length;
+};
+
+/**
+ * Point User.weight at the latest entry and recalculate metrics if it changed
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const syncLatestWeight = async (userId) => {
+  const [latest, user] = await Promise.all([
+    prisma.weightEntry.findFirst({
+      where: { userId },
+      orderBy: { recordedAt: "desc" },
+      select: { weight: true },
+    }),
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { weight: true },
+    }),
+  ]);
+
+  // With no entries left the last known weight is kept. A weigh-in is a fact,
+  // so it is saved even if it makes the weight plan unsafe
+  if (latest && latest.weight !== user.weight) {
+    await applyProfileChanges(userId, { weight: latest.weight }, undefined, {
+      rejectUnsafePlan: false,
+    });
+  }
+};
+
+/**
+ * Log a weigh-in
+ * @param {string} userId - User ID
+ * @param {Object} data - Entry data
+ * @param {number} data.weight - Weight in kg
+ * @param {Date} [data.recordedAt] - When it was measured (defaults to now)
+ * @param {string} [data.note] - Optional note
+ * @returns {Promise<Object>} - Created entry
+ */
+const addWeightEntry = async (userId, { weight, recordedAt, note }) => {
+  const entry = await prisma.weightEntry.create({
+    data: {
+      userId,
+      weight,
+      recordedAt: recordedAt ? new Date(recordedAt) : new Date(),
+      note: note || null,
+    },
+  });
+
+  await syncLatestWeight(userId);
+
+  return entry;
+};
+
+/**
+ * Update a weigh-in
+ * @param {string} entryId - Entry ID
+ * @param {string} userId - User ID (for security)
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Object|null>} - Updated entry or null if not found
+ */
+const updateWeightEntry = async (entryId, userId, { weight, recordedAt, note }) => {
+  const existing = await prisma.weightEntry.findFirst({
+    where: { id: entryId, userId },
+  });
+
+  if (!existing) {
+    return null;
+  }
+
+  const entry = await prisma.weightEntry.update({
+    where: { id: entryId },
+    data: {
+      weight,
+      recordedAt: recordedAt ? new Date(recordedAt) : undefined,
+      note,
+    },
+  });
+
+  await syncLatestWeight(userId);
+
+  return entry;
+};
+
+/**
+ * Delete a weigh-in
+ * @param {string} entryId - Entry ID
+ * @param {string} userId - User ID (for security)
+ * @returns {Promise<boolean>} - False if not found
+ */
+const deleteWeightEntry = async (entryId, userId) => {
+  const { count } = await prisma.weightEntry.deleteMany({
+    where: { id: entryId, userId },
+  });
+
+  if (count > 0) {
+    await syncLatestWeight(userId);
+  }
+
+  return count > 0;
+};
+
+/**
+ * Get weight history with trend and progress summary
+ * The trend is computed over the full history so it is the same whatever range is requested
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Query options
+ * @param {string} [options.startDate] - Only return entries from this date
+ * @param {string} [options.endDate] - Only return entries up to this date
+ * @returns {Promise<Object>} - { entries, summary }
+ */
+const getWeightHistory = async (userId, options = {}) => {
+  const [entries, user] = await Promise.all([
+    prisma.weightEntry.findMany({
+      where: { userId },
+      orderBy: { recordedAt: "asc" },
+    }),
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { weight: true, goal: true },
+    }),
+  ]);
+
+  const trendEntries = withTrend(entries);
+  const latest = trendEntries[trendEntries.length - 1] || null;
+  const weeklyRate = calculateWeeklyRate(trendEntries);
+
+  const start = options.startDate ? new Date(options.startDate) : null;
+  const end = options.endDate ? new Date(options.endDate) : null;
+
+  return {
+    entries: trendEntries.filter(
+      (entry) => (!start || entry.recordedAt >= start) && (!end || entry.recordedAt <= end)
+    ),
+    summary: {
+      latestWeight: latest ? latest.weight : user.weight,
+      trendWeight: latest ? latest.trendWeight : null,
+      weeklyRate,
+      goal: user.goal,
+      isOnTrack: isRateOnTrack(weeklyRate, user.goal),
+    },
+  };
+};
+
+module.exports = {
+  withTrend,
+  calculateWeeklyRate,
+  isSameWeight,
+  recordWeight,
+  seedWeightEntriesFromProfiles,
+  addWeightEntry,
+  updateWeightEntry,
+  deleteWeightEntry,
+  getWeightHistory,
+};
@@ -9,9 +9,29 @@
 const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
 
 // ============================================
-// Gender Options
+// Metabolic Sex (used by BMR equations; 'average' blends male and female)
 // ============================================
-const GENDERS = ['male', 'female'];
+const METABOLIC_SEXES = ['male', 'female', 'average'];
+
+// ============================================
+// BMR Formulas
+// ============================================
+const BMR_FORMULAS = ['harris_benedict', 'harris_benedict_revised', 'mifflin_st_jeor', 'katch_mcardle'];
+
+// ============================================
+// User Roles
+// ============================================
+const USER_ROLES = ['user', 'coach', 'admin'];
+
+// ============================================
+// API Key Scopes
+// ============================================
+const API_KEY_SCOPES = ['meals:read', 'meals:write', 'analytics:read'];
+
+// ============================================
+// Social Login Providers
+// ============================================
+const OAUTH_PROVIDERS = ['google', 'apple'];
 
 // ============================================
 // Activity Levels (Harris-Benedict multipliers)
@@ -33,98 +53,335 @@ const ACTIVITY_LEVEL_DESCRIPTIONS = {
   1.9: 'Extra active (very hard exercise, physical job)',
 };
 
+// ============================================
+// Calorie Goal Modes
+// ============================================
+const CALORIE_GOAL_MODES = ['auto', 'manual', 'adaptive'];
+
+// ============================================
+// Macro Presets (percent of daily calories)
+// ============================================
+const MACRO_PRESETS = {
+  balanced: { protein: 30, carbs: 40, fats: 30 },
+  high_protein: { protein: 40, carbs: 35, fats: 25 },
+  low_carb: { protein: 35, carbs: 25, fats: 40 },
+  keto: { protein: 20, carbs: 5, fats: 75 },
+};
+
+// ============================================
+// Life Stages (daily allowances on top of the calculated goal)
+// ============================================
+// maxDailyDeficit caps how far below maintenance the calorie goal may go
+const LIFE_STAGES = {
+  pregnancy_trimester_1: { label: 'pregnancy', calories: 0, protein: 0, maxDailyDeficit: 0 },
+  pregnancy_trimester_2: { label: 'pregnancy', calories: 340, protein: 25, maxDailyDeficit: 0 },
+  pregnancy_trimester_3: { label: 'pregnancy', calories: 452, protein: 25, maxDailyDeficit: 0 },
+  lactation: { label: 'breastfeeding', calories: 330, protein: 25, maxDailyDeficit: 500 },
+};
+
+// ============================================
+// Unit Systems (values are stored metric)
+// ============================================
+const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+// ============================================
+// Dietary Preferences
+// ============================================
+const DIETARY_PREFERENCES = [
+  'vegetarian',
+  'vegan',
+  'pescatarian',
+  'halal',
+  'kosher',
+  'gluten_free',
+  'dairy_free',
+];
+
+// ============================================
+// Allergens (food names containing a keyword trigger a warning)
+// ============================================
+const ALLERGEN_KEYWORDS = {
+  peanuts: ['peanut', 'groundnut', 'satay'],
+  tree_nuts: ['almond', 'cashew', 'walnut', 'pecan', 'pistachio', 'hazelnut', 'macadamia', 'pine nut', 'marzipan', 'praline'],
+  milk: ['milk', 'cheese', 'butter', 'cream', 'yogurt', 'yoghurt', 'curd', 'paneer', 'ghee', 'whey', 'lassi', 'custard'],
+  eggs: ['egg', 'omelette', 'omelet', 'mayonnaise', 'mayo', 'meringue'],
+  fish: ['fish', 'salmon', 'tuna', 'cod', 'sardine', 'mackerel', 'anchovy', 'trout', 'tilapia'],
+  shellfish: ['shrimp', 'prawn', 'crab', 'lobster', 'oyster', 'mussel', 'clam', 'scallop', 'squid', 'calamari'],
+  soy: ['soy', 'soya', 'tofu', 'edamame', 'tempeh', 'miso'],
+  wheat: ['wheat', 'bread', 'roti', 'chapati', 'naan', 'paratha', 'pasta', 'noodle', 'flour', 'maida', 'semolina', 'couscous'],
+  gluten: ['gluten', 'wheat', 'barley', 'rye', 'seitan', 'bread', 'roti', 'chapati', 'naan', 'paratha', 'pasta', 'noodle', 'flour', 'maida', 'semolina', 'couscous'],
+  sesame: ['sesame', 'tahini', 'hummus'],
+};
+
 // ============================================
 // Food Units
 // ============================================
-const FOOD_UNITS = ['grams', 'g', 'ml', 'oz', 'pieces', 'cups', 'tbsp', 'tsp', 'serving'];
+const FOOD_UNITS = ['grams', 'g', 'ml', 'oz', 'fl oz', 'pieces', 'cups', 'tbsp', 'tsp', 'serving'];
 
 // ============================================
 // Date Utilities
 // ============================================
+// Day boundaries are worked out in an IANA time zone (the user's), so "today"
+// matches the user's calendar. Without a time zone the server's local zone is used.
+
+// Time zone for users who haven't chosen one (the reminder schedule's original zone)
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const YMD_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
 
 /**
- * Get the start of today (midnight)
+ * Check that a string is a time zone the runtime knows (e.g. 'America/New_York')
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Get the wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number }}
+ *   month is 1-12, weekday is 0 (Sunday) - 6
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  }).formatToParts(date);
+
+  const values = Object.fromEntries(parts.map((part) => [part.type, part.value]));
+
+  return {
+    year: Number(values.year),
+    month: Number(values.month),
+    day: Number(values.day),
+    hour: Number(values.hour),
+    minute: Number(values.minute),
+    second: Number(values.second),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(values.weekday),
+  };
+};
+
+/**
+ * Get the instant a wall-clock time happens in a time zone
+ * Out-of-range days roll over (day 32 is the 1st of the next month)
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {string} [timeZone] - IANA time zone
  * @returns {Date}
  */
-const getStartOfToday = () => {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  return today;
+const zonedMidnightToDate = (year, month, day, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day);
+
+  // Offset of the zone at a given instant, in ms
+  const offsetAt = (time) => {
+    const parts = getZonedParts(new Date(time), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) -
+      Math.floor(time / 1000) * 1000;
+  };
+
+  // Correct once more in case the guess and the result sit on different sides of a DST change
+  let time = wallClock - offsetAt(wallClock);
+  time = wallClock - offsetAt(time);
+
+  return new Date(time);
+};
+
+/**
+ * Get the start of the day containing a date
+ * @param {Date|string} date - Instant, or a 'YYYY-MM-DD' calendar date
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date} - Invalid Date if the input isn't a date
+ */
+const getStartOfDay = (date, timeZone) => {
+  const match = typeof date === 'string' && YMD_PATTERN.exec(date);
+  if (match) {
+    return zonedMidnightToDate(Number(match[1]), Number(match[2]), Number(match[3]), timeZone);
+  }
+
+  const instant = new Date(date);
+  if (isNaN(instant.getTime())) {
+    return instant;
+  }
+
+  const { year, month, day } = getZonedParts(instant, timeZone);
+  return zonedMidnightToDate(year, month, day, timeZone);
+};
+
+/**
+ * Get the end of the day containing a date (last millisecond)
+ * @param {Date|string} date - Instant, or a 'YYYY-MM-DD' calendar date
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date} - Invalid Date if the input isn't a date
+ */
+const getEndOfDay = (date, timeZone) => {
+  const dayStart = getStartOfDay(date, timeZone);
+  if (isNaN(dayStart.getTime())) {
+    return dayStart;
+  }
+
+  const { year, month, day } = getZonedParts(dayStart, timeZone);
+  return new Date(zonedMidnightToDate(year, month, day + 1, timeZone).getTime() - 1);
 };
 
+/**
+ * Move a day start by a number of calendar days
+ * @param {Date} dayStart - Start of a day
+ * @param {number} days - Days to add (may be negative)
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date} - Start of the resulting day
+ */
+const addDays = (dayStart, days, timeZone) => {
+  const { year, month, day } = getZonedParts(dayStart, timeZone);
+  return zonedMidnightToDate(year, month, day + days, timeZone);
+};
+
+/**
+ * Get the start of today (midnight)
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date}
+ */
+const getStartOfToday = (timeZone) => getStartOfDay(new Date(), timeZone);
+
 /**
  * Get the end of today (23:59:59.999)
+ * @param {string} [timeZone] - IANA time zone
  * @returns {Date}
  */
-const getEndOfToday = () => {
-  const today = new Date();
-  today.setHours(23, 59, 59, 999);
-  return today;
-};
+const getEndOfToday = (timeZone) => getEndOfDay(new Date(), timeZone);
 
 /**
  * Get the start of the current week (Monday)
+ * @param {string} [timeZone] - IANA time zone
  * @returns {Date}
  */
-const getStartOfWeek = () => {
-  const today = new Date();
-  const dayOfWeek = today.getDay();
-  const diff = today.getDate() - dayOfWeek + (dayOfWeek === 0 ? -6 : 1); // Adjust for Sunday
-  const monday = new Date(today.setDate(diff));
-  monday.setHours(0, 0, 0, 0);
-  return monday;
+const getStartOfWeek = (timeZone) => {
+  const { weekday } = getZonedParts(new Date(), timeZone);
+  const daysSinceMonday = (weekday + 6) % 7; // Sunday counts as the end of the week
+  return addDays(getStartOfToday(timeZone), -daysSinceMonday, timeZone);
 };
 
 /**
  * Get the end of the current week (Sunday)
+ * @param {string} [timeZone] - IANA time zone
  * @returns {Date}
  */
-const getEndOfWeek = () => {
-  const startOfWeek = getStartOfWeek();
-  const sunday = new Date(startOfWeek);
-  sunday.setDate(sunday.getDate() + 6);
-  sunday.setHours(23, 59, 59, 999);
-  return sunday;
+const getEndOfWeek = (timeZone) => {
+  const nextMonday = addDays(getStartOfWeek(timeZone), 7, timeZone);
+  return new Date(nextMonday.getTime() - 1);
 };
 
 /**
  * Get the start of the current month
+ * @param {string} [timeZone] - IANA time zone
  * @returns {Date}
  */
-const getStartOfMonth = () => {
-  const today = new Date();
-  return new Date(today.getFullYear(), today.getMonth(), 1, 0, 0, 0, 0);
+const getStartOfMonth = (timeZone) => {
+  const { year, month } = getZonedParts(new Date(), timeZone);
+  return zonedMidnightToDate(year, month, 1, timeZone);
 };
 
 /**
  * Get the end of the current month
+ * @param {string} [timeZone] - IANA time zone
  * @returns {Date}
  */
-const getEndOfMonth = () => {
-  const today = new Date();
-  return new Date(today.getFullYear(), today.getMonth() + 1, 0, 23, 59, 59, 999);
+const getEndOfMonth = (timeZone) => {
+  const { year, month } = getZonedParts(new Date(), timeZone);
+  return new Date(zonedMidnightToDate(year, month + 1, 1, timeZone).getTime() - 1);
 };
 
 /**
  * Get date range for the last N days
  * @param {number} days - Number of days to go back
+ * @param {string} [timeZone] - IANA time zone
  * @returns {{ startDate: Date, endDate: Date }}
  */
-const getLastNDays = (days) => {
-  const endDate = getEndOfToday();
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days + 1);
-  startDate.setHours(0, 0, 0, 0);
+const getLastNDays = (days, timeZone) => {
+  const endDate = getEndOfToday(timeZone);
+  const startDate = addDays(getStartOfToday(timeZone), -days + 1, timeZone);
   return { startDate, endDate };
 };
 
 /**
  * Format date as YYYY-MM-DD
  * @param {Date} date
+ * @param {string} [timeZone] - IANA time zone (calendar date in that zone); UTC when omitted
  * @returns {string}
  */
-const formatDateYMD = (date) => {
-  return date.toISOString().split('T')[0];
+const formatDateYMD = (date, timeZone) => {
+  if (!timeZone) {
+    return date.toISOString().split('T')[0];
+  }
+
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Get a person's age in whole years on a date
+ * Someone born on 29 February turns a year older on 1 March in non-leap years
+ * @param {Date} dateOfBirth - Calendar date of birth (stored at UTC midnight)
+ * @param {Date} [date] - Instant to measure at
+ * @param {string} [timeZone] - IANA time zone whose calendar decides the day
+ * @returns {number}
+ */
+const getAgeOnDate = (dateOfBirth, date = new Date(), timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const birthMonth = dateOfBirth.getUTCMonth() + 1;
+  const birthDay = dateOfBirth.getUTCDate();
+  const hadBirthday = month > birthMonth || (month === birthMonth && day >= birthDay);
+
+  return year - dateOfBirth.getUTCFullYear() - (hadBirthday ? 0 : 1);
+};
+
+/**
+ * Get the start of the most recent birthday on or before a date
+ * @param {Date} dateOfBirth - Calendar date of birth (stored at UTC midnight)
+ * @param {Date} [date] - Instant to look back from
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date}
+ */
+const getLastBirthday = (dateOfBirth, date = new Date(), timeZone) => {
+  const age = getAgeOnDate(dateOfBirth, date, timeZone);
+  return zonedMidnightToDate(
+    dateOfBirth.getUTCFullYear() + age,
+    dateOfBirth.getUTCMonth() + 1,
+    dateOfBirth.getUTCDate(),
+    timeZone
+  );
+};
+
+/**
+ * Get the start of the next birthday after a date
+ * @param {Date} dateOfBirth - Calendar date of birth (stored at UTC midnight)
+ * @param {Date} [date] - Instant to look ahead from
+ * @param {string} [timeZone] - IANA time zone
+ * @returns {Date}
+ */
+const getNextBirthday = (dateOfBirth, date = new Date(), timeZone) => {
+  const age = getAgeOnDate(dateOfBirth, date, timeZone);
+  return zonedMidnightToDate(
+    dateOfBirth.getUTCFullYear() + age + 1,
+    dateOfBirth.getUTCMonth() + 1,
+    dateOfBirth.getUTCDate(),
+    timeZone
+  );
 };
 
 // ============================================
@@ -146,6 +403,8 @@ const ERROR_CODES = {
   NOT_FOUND: 'NOT_FOUND',
   DUPLICATE_ENTRY: 'DUPLICATE_ENTRY',
   RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  ACCOUNT_DISABLED: 'ACCOUNT_DISABLED',
   INTERNAL_ERROR: 'INTERNAL_ERROR',
   GEMINI_API_ERROR: 'GEMINI_API_ERROR',
   CLOUDINARY_ERROR: 'CLOUDINARY_ERROR',
@@ -153,10 +412,26 @@ const ERROR_CODES = {
 
 module.exports = {
   MEAL_TYPES,
-  GENDERS,
+  METABOLIC_SEXES,
+  BMR_FORMULAS,
+  USER_ROLES,
+  API_KEY_SCOPES,
+  OAUTH_PROVIDERS,
   ACTIVITY_LEVELS,
   ACTIVITY_LEVEL_DESCRIPTIONS,
+  CALORIE_GOAL_MODES,
+  MACRO_PRESETS,
+  LIFE_STAGES,
+  UNIT_SYSTEMS,
+  DIETARY_PREFERENCES,
+  ALLERGEN_KEYWORDS,
   FOOD_UNITS,
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getStartOfDay,
+  getEndOfDay,
+  addDays,
   getStartOfToday,
   getEndOfToday,
   getStartOfWeek,
@@ -165,6 +440,9 @@ module.exports = {
   getEndOfMonth,
   getLastNDays,
   formatDateYMD,
+  getAgeOnDate,
+  getLastBirthday,
+  getNextBirthday,
   PAGINATION,
   ERROR_CODES,
 };
@@ -0,0 +1,73 @@
+/**
+ * Dietary Checks
+ * Matches logged food against the allergens a user declared. Known allergens
+ * (see ALLERGEN_KEYWORDS) match common foods that contain them; any other
+ * allergen matches food names containing it.
+ */
+
+const { ALLERGEN_KEYWORDS } = require('./constants');
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a matcher for an allergen
+ * Keywords match whole words with an optional plural ('egg' matches 'eggs', not 'eggplant';
+ * 'berry' matches 'berries')
+ * @param {string} allergen - Allergen key or name
+ * @returns {RegExp}
+ */
+const buildAllergenPattern = (allergen) => {
+  const keywords = ALLERGEN_KEYWORDS[allergen] || [allergen.replace(/_/g, ' ')];
+  const alternatives = keywords
+    .map((keyword) => (keyword.endsWith('y')
+      ? `${escapeRegExp(keyword.slice(0, -1))}(?:y|ies)`
+      : `${escapeRegExp(keyword)}(?:s|es)?`))
+    .join('|');
+  // Lookarounds instead of \b, which only knows ASCII letters ('éclair', 'сыр')
+  return new RegExp(`(?<![\\p{L}\\p{N}_])(?:${alternatives})(?![\\p{L}\\p{N}_])`, 'iu');
+};
+
+/**
+ * Find logged foods that match a user's allergens
+ * Food items are checked by name; a meal without items is checked by its description
+ * @param {Object} meal - { description, foodItems: [{ foodName }] }
+ * @param {Array<string>} allergens - User's declared allergens
+ * @returns {Array<Object>} - Warnings ({ type, allergen, foodName, message })
+ */
+const findAllergenWarnings = ({ description, foodItems }, allergens = []) => {
+  if (!allergens.length) {
+    return [];
+  }
+
+  const names = foodItems && foodItems.length > 0
+    ? foodItems.map((item) => item.foodName).filter(Boolean)
+    : [description].filter(Boolean);
+
+  const warnings = [];
+
+  allergens.forEach((allergen) => {
+    const pattern = buildAllergenPattern(allergen);
+
+    names.forEach((foodName) => {
+      if (pattern.test(foodName)) {
+        warnings.push({
+          type: 'allergen',
+          allergen,
+          foodName,
+          message: `${foodName} may contain ${allergen.replace(/_/g, ' ')}, which you listed as an allergen`,
+        });
+      }
+    });
+  });
+
+  return warnings;
+};
+
+module.exports = {
+  findAllergenWarnings,
+};
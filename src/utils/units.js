@@ -0,0 +1,201 @@
+/**
+ * Unit Conversion
+ * The database stores metric values (kg, cm, ml, g). Requests and responses are
+ * converted here for users who prefer imperial units (lb, ft/in, in, fl oz).
+ */
+
+const KG_PER_LB = 0.45359237;
+const CM_PER_INCH = 2.54;
+const INCHES_PER_FOOT = 12;
+const ML_PER_FL_OZ = 29.5735295625;
+const G_PER_OZ = 28.349523125;
+
+// Body weight fields (kg <-> lb) and weekly rates of change (kg/week <-> lb/week)
+const WEIGHT_FIELDS = ['weight', 'targetWeight', 'latestWeight', 'trendWeight', 'leanBodyMass', 'fatMass'];
+const WEIGHT_RATE_FIELDS = ['targetWeeklyRate', 'weeklyRate'];
+
+// Body girths (cm <-> in)
+const LENGTH_FIELDS = ['waist', 'hip', 'neck', 'chest'];
+
+/**
+ * Round to a number of decimal places
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {number}
+ */
+const round = (value, decimals) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+const lbToKg = (lb) => lb * KG_PER_LB;
+const kgToLb = (kg) => kg / KG_PER_LB;
+
+/**
+ * Format a body weight (or weekly change) for messages in the user's units
+ * @param {number} kg - Weight in kg
+ * @param {string} unitSystem - 'metric' or 'imperial'
+ * @param {number} [decimals=1] - Decimal places
+ * @returns {string} - e.g. '72.5 kg' or '159.8 lb'
+ */
+const formatWeight = (kg, unitSystem, decimals = 1) => (unitSystem === 'imperial'
+  ? `${round(kgToLb(kg), decimals)} lb`
+  : `${round(kg, decimals)} kg`);
+
+/**
+ * Format a length for messages in the user's units
+ * @param {number} cm - Length in cm
+ * @param {string} unitSystem - 'metric' or 'imperial'
+ * @param {number} [decimals=1] - Decimal places
+ * @returns {string} - e.g. '80 cm' or '31.5 in'
+ */
+const formatLength = (cm, unitSystem, decimals = 1) => (unitSystem === 'imperial'
+  ? `${round(cm / CM_PER_INCH, decimals)} in`
+  : `${round(cm, decimals)} cm`);
+
+/**
+ * Convert a height in feet and inches to centimeters
+ * @param {Object} height - { feet, inches }
+ * @returns {number}
+ */
+const feetInchesToCm = ({ feet = 0, inches = 0 }) => (feet * INCHES_PER_FOOT + inches) * CM_PER_INCH;
+
+/**
+ * Convert a height in centimeters to feet and inches
+ * @param {number} cm
+ * @returns {Object} - { feet, inches }
+ */
+const cmToFeetInches = (cm) => {
+  const totalInches = round(cm / CM_PER_INCH, 1);
+  const feet = Math.floor(totalInches / INCHES_PER_FOOT);
+  return { feet, inches: round(totalInches - feet * INCHES_PER_FOOT, 1) };
+};
+
+/**
+ * Convert a food item's quantity to a metric unit
+ * Fluid ounces become ml and ounces become grams; other units are kept
+ * @param {Object} item - Food item ({ quantity, unit, ... })
+ * @returns {Object}
+ */
+const foodItemToMetric = (item) => {
+  if (item.unit === 'fl oz') {
+    return { ...item, quantity: round(item.quantity * ML_PER_FL_OZ, 1), unit: 'ml' };
+  }
+  if (item.unit === 'oz') {
+    return { ...item, quantity: round(item.quantity * G_PER_OZ, 1), unit: 'g' };
+  }
+  return item;
+};
+
+/**
+ * Convert a request body to metric
+ * Heights given as { feet, inches } are always converted; plain numbers use the unit system
+ * @param {Object} body - Request body
+ * @param {string} unitSystem - 'metric' or 'imperial'
+ * @returns {Object} - Body with metric values
+ */
+const toMetricInput = (body, unitSystem) => {
+  if (!body || typeof body !== 'object') {
+    return body;
+  }
+
+  const converted = { ...body };
+  const isImperial = unitSystem === 'imperial';
+
+  if (isImperial) {
+    WEIGHT_FIELDS.forEach((field) => {
+      if (typeof converted[field] === 'number') {
+        converted[field] = round(lbToKg(converted[field]), 2);
+      }
+    });
+    WEIGHT_RATE_FIELDS.forEach((field) => {
+      if (typeof converted[field] === 'number') {
+        converted[field] = round(lbToKg(converted[field]), 3);
+      }
+    });
+    LENGTH_FIELDS.forEach((field) => {
+      if (typeof converted[field] === 'number') {
+        converted[field] = round(converted[field] * CM_PER_INCH, 1);
+      }
+    });
+  }
+
+  if (converted.height && typeof converted.height === 'object') {
+    converted.height = round(feetInchesToCm(converted.height), 1);
+  } else if (isImperial && typeof converted.height === 'number') {
+    converted.height = round(converted.height * CM_PER_INCH, 1);
+  }
+
+  // Multipart forms send food items as a JSON string; one that doesn't parse is left for validation
+  if (typeof converted.foodItems === 'string') {
+    try {
+      converted.foodItems = JSON.parse(converted.foodItems);
+    } catch (error) {
+      // Not JSON
+    }
+  }
+
+  if (Array.isArray(converted.foodItems)) {
+    converted.foodItems = converted.foodItems.map((item) =>
+      item && typeof item === 'object' ? foodItemToMetric(item) : item
+    );
+  }
+
+  return converted;
+};
+
+/**
+ * Convert response data from metric to the user's units
+ * Walks nested objects and arrays and converts known fields by name
+ * @param {*} data - Response data
+ * @param {string} unitSystem - 'metric' or 'imperial'
+ * @returns {*} - Converted copy (metric data is returned unchanged)
+ */
+const toUserUnits = (data, unitSystem) => {
+  if (unitSystem !== 'imperial') {
+    return data;
+  }
+
+  if (Array.isArray(data)) {
+    return data.map((item) => toUserUnits(item, unitSystem));
+  }
+
+  if (!data || typeof data !== 'object' || data instanceof Date) {
+    return data;
+  }
+
+  const converted = {};
+
+  Object.entries(data).forEach(([key, value]) => {
+    if (typeof value === 'number' && WEIGHT_FIELDS.includes(key)) {
+      converted[key] = round(kgToLb(value), 1);
+    } else if (typeof value === 'number' && WEIGHT_RATE_FIELDS.includes(key)) {
+      converted[key] = round(kgToLb(value), 2);
+    } else if (typeof value === 'number' && LENGTH_FIELDS.includes(key)) {
+      converted[key] = round(value / CM_PER_INCH, 1);
+    } else if (typeof value === 'number' && key === 'height') {
+      converted[key] = cmToFeetInches(value);
+    } else {
+      converted[key] = toUserUnits(value, unitSystem);
+    }
+  });
+
+  // Food volumes are shown in fluid ounces
+  if (converted.unit === 'ml' && typeof converted.quantity === 'number') {
+    converted.quantity = round(converted.quantity / ML_PER_FL_OZ, 1);
+    converted.unit = 'fl oz';
+  }
+
+  return converted;
+};
+
+module.exports = {
+  lbToKg,
+  kgToLb,
+  formatWeight,
+  formatLength,
+  feetInchesToCm,
+  cmToFeetInches,
+  toMetricInput,
+  toUserUnits,
+};
@@ -4,25 +4,44 @@
  */
 
 const { z } = require('zod');
-const { MEAL_TYPES, GENDERS, ACTIVITY_LEVELS } = require('./constants');
+const {
+  MEAL_TYPES,
+  METABOLIC_SEXES,
+  BMR_FORMULAS,
+  ACTIVITY_LEVELS,
+  CALORIE_GOAL_MODES,
+  MACRO_PRESETS,
+  LIFE_STAGES,
+  UNIT_SYSTEMS,
+  DIETARY_PREFERENCES,
+  OAUTH_PROVIDERS,
+  USER_ROLES,
+  isValidTimeZone,
+  getAgeOnDate,
+  API_KEY_SCOPES,
+} = require('./constants');
+const { formatWeight, formatLength } = require('./units');
 
 // ============================================
 // Auth Schemas
 // ============================================
 
+// Password strength rules shared by registration and password changes
+const passwordSchema = z
+  .string()
+  .min(8, 'Password must be at least 8 characters')
+  .max(100, 'Password must be less than 100 characters')
+  .regex(
+    /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
+    'Password must contain at least one uppercase letter, one lowercase letter, and one number'
+  );
+
 const registerSchema = z.object({
   email: z
     .string()
     .email('Invalid email format')
     .max(255, 'Email must be less than 255 characters'),
-  password: z
-    .string()
-    .min(8, 'Password must be at least 8 characters')
-    .max(100, 'Password must be less than 100 characters')
-    .regex(
-      /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/,
-      'Password must contain at least one uppercase letter, one lowercase letter, and one number'
-    ),
+  password: passwordSchema,
   name: z
     .string()
     .min(2, 'Name must be at least 2 characters')
@@ -35,33 +54,270 @@ const loginSchema = z.object({
   password: z.string().min(1, 'Password is required'),
 });
 
+const refreshTokenSchema = z.object({
+  refreshToken: z.string().min(1, 'Refresh token is required'),
+});
+
+const forgotPasswordSchema = z.object({
+  email: z.string().email('Invalid email format'),
+});
+
+const resetPasswordSchema = z.object({
+  token: z.string().min(1, 'Reset token is required'),
+  password: passwordSchema,
+});
+
+const verifyEmailSchema = z.object({
+  token: z.string().min(1, 'Verification token is required'),
+});
+
+// currentPassword is omitted by social-login accounts setting their first password
+const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1, 'Current password is required').optional(),
+  newPassword: passwordSchema,
+});
+
+const changeEmailSchema = z.object({
+  newEmail: z
+    .string()
+    .email('Invalid email format')
+    .max(255, 'Email must be less than 255 characters'),
+  password: z.string().min(1, 'Password is required'),
+});
+
+const totpCodeSchema = z.string().regex(/^\d{6}$/, 'Code must be 6 digits');
+
+const twoFactorCodeSchema = z.object({
+  code: totpCodeSchema,
+});
+
+// Either an authenticator code or a recovery code proves the second factor
+const secondFactorFields = {
+  code: totpCodeSchema.optional(),
+  recoveryCode: z.string().min(1).max(50).optional(),
+};
+
+const hasSecondFactor = [
+  (data) => data.code || data.recoveryCode,
+  { message: 'Either code or recoveryCode is required', path: ['code'] },
+];
+
+const twoFactorFactorSchema = z.object(secondFactorFields).refine(...hasSecondFactor);
+
+const twoFactorLoginSchema = z
+  .object({
+    challengeToken: z.string().min(1, 'Challenge token is required'),
+    ...secondFactorFields,
+  })
+  .refine(...hasSecondFactor);
+
+const deleteAccountSchema = z.object({
+  // Required unless the account only uses social login
+  password: z.string().optional(),
+});
+
+const oauthProviderParamSchema = z.object({
+  provider: z.enum(OAUTH_PROVIDERS, {
+    errorMap: () => ({ message: `Provider must be one of: ${OAUTH_PROVIDERS.join(', ')}` }),
+  }),
+});
+
+const oauthLoginSchema = z.object({
+  idToken: z.string().min(1, 'ID token is required'),
+  name: z
+    .string()
+    .min(2, 'Name must be at least 2 characters')
+    .max(100, 'Name must be less than 100 characters')
+    .optional(),
+});
+
 // ============================================
 // User/Onboarding Schemas
 // ============================================
 
+// Sex and gender fields shared by onboarding and profile updates: gender is how the user
+// describes themselves, metabolic sex picks the BMR equation ('average' when unsure)
+const genderSchema = z
+  .string()
+  .trim()
+  .min(1, 'Gender cannot be empty')
+  .max(50, 'Gender must be less than 50 characters');
+
+const metabolicSexSchema = z.enum(METABOLIC_SEXES, {
+  errorMap: () => ({ message: `Metabolic sex must be one of: ${METABOLIC_SEXES.join(', ')}` }),
+});
+
+// Date of birth shared by onboarding and profile updates ('YYYY-MM-DD'); age is derived from it
+const dateOfBirthSchema = z
+  .string()
+  .refine((value) => {
+    const date = new Date(`${value}T00:00:00.000Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+  }, 'Date of birth must be a valid date (YYYY-MM-DD)')
+  .transform((value) => new Date(`${value}T00:00:00.000Z`))
+  .refine((date) => getAgeOnDate(date) >= 13, 'Must be at least 13 years old')
+  .refine((date) => getAgeOnDate(date) <= 120, 'Invalid date of birth');
+
+// Deprecated: older clients send an age instead of a date of birth; it's stored as an
+// estimated date of birth, and dateOfBirth wins when both are sent
+const ageSchema = z
+  .number()
+  .int('Age must be a whole number')
+  .min(13, 'Must be at least 13 years old')
+  .max(120, 'Invalid age');
+
+const hasDateOfBirthOrAge = [
+  (data) => Boolean(data.dateOfBirth || data.age),
+  { message: 'Date of birth is required', path: ['dateOfBirth'] },
+];
+
+// Limits are checked after useUserUnits has converted imperial input, so messages give both systems
+const inWeightUnits = (kg) => `${formatWeight(kg, 'metric')} (${formatWeight(kg, 'imperial')})`;
+const inLengthUnits = (cm) => `${formatLength(cm, 'metric')} (${formatLength(cm, 'imperial')})`;
+
+// Target weight plan fields shared by onboarding and profile updates
+const targetWeightSchema = z
+  .number()
+  .positive('Target weight must be positive')
+  .min(20, `Target weight must be at least ${inWeightUnits(20)}`)
+  .max(500, `Target weight must be less than ${inWeightUnits(500)}`);
+
+const targetDateSchema = z
+  .string()
+  .datetime()
+  .refine((value) => new Date(value) > new Date(), 'Target date must be in the future');
+
+const targetWeeklyRateSchema = z
+  .number()
+  .min(0.1, `Weekly rate must be at least ${inWeightUnits(0.1)}`)
+  .max(1, `Weekly rate must be at most ${inWeightUnits(1)}`);
+
+const unitSystemSchema = z.enum(UNIT_SYSTEMS, {
+  errorMap: () => ({ message: 'Unit system must be either metric or imperial' }),
+});
+
+const timezoneSchema = z
+  .string()
+  .refine(isValidTimeZone, 'Timezone must be an IANA time zone such as America/New_York');
+
+// BMR preference fields shared by onboarding and profile updates
+const bmrFormulaSchema = z.enum(BMR_FORMULAS, {
+  errorMap: () => ({ message: `BMR formula must be one of: ${BMR_FORMULAS.join(', ')}` }),
+});
+
+const bodyFatPercentageSchema = z
+  .number()
+  .min(3, 'Body fat must be at least 3%')
+  .max(70, 'Body fat must be at most 70%');
+
+// Macro goal fields shared by onboarding and profile updates
+const macroPresetSchema = z.enum(Object.keys(MACRO_PRESETS), {
+  errorMap: () => ({
+    message: `Macro preset must be one of: ${Object.keys(MACRO_PRESETS).join(', ')}`,
+  }),
+});
+
+const macroPercentSchema = z
+  .number()
+  .int('Percentages must be whole numbers')
+  .min(0, 'Percentages cannot be negative')
+  .max(100, 'Percentages cannot exceed 100');
+
+const macroSplitSchema = z
+  .object({
+    protein: macroPercentSchema,
+    carbs: macroPercentSchema,
+    fats: macroPercentSchema,
+  })
+  .refine(
+    (split) => split.protein + split.carbs + split.fats === 100,
+    'Macro percentages must add up to 100'
+  );
+
+const macroGramsSchema = z
+  .number()
+  .int('Grams must be whole numbers')
+  .min(0, 'Grams cannot be negative')
+  .max(1000, 'Grams must be at most 1000');
+
+const macroGoalsSchema = z.object({
+  protein: macroGramsSchema,
+  carbs: macroGramsSchema,
+  fats: macroGramsSchema,
+});
+
+// Dietary fields shared by onboarding and profile updates (duplicates are dropped)
+const dietaryPreferencesSchema = z
+  .array(
+    z.enum(DIETARY_PREFERENCES, {
+      errorMap: () => ({
+        message: `Dietary preferences must be from: ${DIETARY_PREFERENCES.join(', ')}`,
+      }),
+    })
+  )
+  .transform((values) => [...new Set(values)]);
+
+// Known allergens ('tree_nuts') or any food name; stored lowercase with underscores
+// Only letters, spaces, hyphens and underscores, since the values are passed to the AI prompt
+const allergensSchema = z
+  .array(
+    z
+      .string()
+      .trim()
+      .min(2, 'Allergens must be at least 2 characters')
+      .max(50, 'Allergens must be less than 50 characters')
+      .regex(/^[\p{L}\s_-]+$/u, 'Allergens may only contain letters, spaces and hyphens')
+      .transform((value) => value.toLowerCase().replace(/\s+/g, '_'))
+  )
+  .max(20, 'At most 20 allergens can be listed')
+  .transform((values) => [...new Set(values)]);
+
+const hasSingleMacroSource = [
+  (data) => [data.macroPreset, data.macroSplit, data.macroGoals].filter(Boolean).length <= 1,
+  { message: 'Provide only one of macroPreset, macroSplit or macroGoals', path: ['macroPreset'] },
+];
+
+// Life stage fields shared by onboarding and profile updates
+const lifeStageSchema = z.enum(Object.keys(LIFE_STAGES), {
+  errorMap: () => ({
+    message: `Life stage must be one of: ${Object.keys(LIFE_STAGES).join(', ')}`,
+  }),
+});
+
+const lifeStageEndsAtSchema = z
+  .string()
+  .datetime()
+  .refine((value) => new Date(value) > new Date(), 'Life stage end date must be in the future');
+
+const hasLifeStageEnd = [
+  (data) => !data.lifeStage || Boolean(data.lifeStageEndsAt),
+  { message: 'A life stage needs an end date (lifeStageEndsAt)', path: ['lifeStageEndsAt'] },
+];
+
+const hasSinglePace = [
+  (data) => !(data.targetDate && data.targetWeeklyRate),
+  { message: 'Provide either targetDate or targetWeeklyRate, not both', path: ['targetDate'] },
+];
+
 const onboardingSchema = z.object({
   name: z
     .string()
     .min(2, 'Name must be at least 2 characters')
     .max(100, 'Name must be less than 100 characters'),
-  age: z
-    .number()
-    .int('Age must be a whole number')
-    .min(13, 'Must be at least 13 years old')
-    .max(120, 'Invalid age'),
+  dateOfBirth: dateOfBirthSchema.optional(),
+  age: ageSchema.optional(),
   weight: z
     .number()
     .positive('Weight must be positive')
-    .min(20, 'Weight must be at least 20 kg')
-    .max(500, 'Weight must be less than 500 kg'),
+    .min(20, `Weight must be at least ${inWeightUnits(20)}`)
+    .max(500, `Weight must be less than ${inWeightUnits(500)}`),
   height: z
     .number()
     .positive('Height must be positive')
-    .min(50, 'Height must be at least 50 cm')
-    .max(300, 'Height must be less than 300 cm'),
-  gender: z.enum(GENDERS, {
-    errorMap: () => ({ message: 'Gender must be either male or female' }),
-  }),
+    .min(50, `Height must be at least ${inLengthUnits(50)}`)
+    .max(300, `Height must be less than ${inLengthUnits(300)}`),
+  gender: genderSchema.optional(),
+  metabolicSex: metabolicSexSchema.optional(),
   activityLevel: z
     .number()
     .refine(
@@ -71,7 +327,22 @@ const onboardingSchema = z.object({
   goal: z.enum(['lose', 'gain', 'maintain'], {
     errorMap: () => ({ message: 'Goal must be either lose, gain or maintain' }),
   }),
-});
+  bmrFormula: bmrFormulaSchema.optional(),
+  timezone: timezoneSchema.optional(),
+  unitSystem: unitSystemSchema.optional(),
+  bodyFatPercentage: bodyFatPercentageSchema.optional(),
+  targetWeight: targetWeightSchema.optional(),
+  targetDate: targetDateSchema.optional(),
+  targetWeeklyRate: targetWeeklyRateSchema.optional(),
+  lifeStage: lifeStageSchema.optional(),
+  lifeStageEndsAt: lifeStageEndsAtSchema.optional(),
+  macroPreset: macroPresetSchema.optional(),
+  macroSplit: macroSplitSchema.optional(),
+  macroGoals: macroGoalsSchema.optional(),
+  dietaryPreferences: dietaryPreferencesSchema.optional(),
+  allergens: allergensSchema.optional(),
+}).refine(...hasDateOfBirthOrAge).refine(...hasSinglePace).refine(...hasSingleMacroSource)
+  .refine(...hasLifeStageEnd);
 
 const updateProfileSchema = z.object({
   name: z
@@ -79,29 +350,23 @@ const updateProfileSchema = z.object({
     .min(2, 'Name must be at least 2 characters')
     .max(100, 'Name must be less than 100 characters')
     .optional(),
-  age: z
-    .number()
-    .int('Age must be a whole number')
-    .min(13, 'Must be at least 13 years old')
-    .max(120, 'Invalid age')
-    .optional(),
+  dateOfBirth: dateOfBirthSchema.optional(),
+  age: ageSchema.optional(),
   weight: z
     .number()
     .positive('Weight must be positive')
-    .min(20, 'Weight must be at least 20 kg')
-    .max(500, 'Weight must be less than 500 kg')
+    .min(20, `Weight must be at least ${inWeightUnits(20)}`)
+    .max(500, `Weight must be less than ${inWeightUnits(500)}`)
     .optional(),
   height: z
     .number()
     .positive('Height must be positive')
-    .min(50, 'Height must be at least 50 cm')
-    .max(300, 'Height must be less than 300 cm')
-    .optional(),
-  gender: z
-    .enum(GENDERS, {
-      errorMap: () => ({ message: 'Gender must be either male or female' }),
-    })
+    .min(50, `Height must be at least ${inLengthUnits(50)}`)
+    .max(300, `Height must be less than ${inLengthUnits(300)}`)
     .optional(),
+  // null removes the self-described gender
+  gender: genderSchema.nullable().optional(),
+  metabolicSex: metabolicSexSchema.optional(),
   activityLevel: z
     .number()
     .refine(
@@ -112,6 +377,113 @@ const updateProfileSchema = z.object({
   goal: z.enum(['lose', 'gain', 'maintain'], {
     errorMap: () => ({ message: 'Goal must be either lose, gain or maintain' }),
   }).optional(),
+  // null goes back to picking the formula automatically
+  bmrFormula: bmrFormulaSchema.nullable().optional(),
+  timezone: timezoneSchema.optional(),
+  unitSystem: unitSystemSchema.optional(),
+  // null removes the measurement
+  bodyFatPercentage: bodyFatPercentageSchema.nullable().optional(),
+  // null removes the target
+  targetWeight: targetWeightSchema.nullable().optional(),
+  targetDate: targetDateSchema.optional(),
+  targetWeeklyRate: targetWeeklyRateSchema.optional(),
+  // null ends the life stage
+  lifeStage: lifeStageSchema.nullable().optional(),
+  lifeStageEndsAt: lifeStageEndsAtSchema.optional(),
+  macroPreset: macroPresetSchema.optional(),
+  macroSplit: macroSplitSchema.optional(),
+  macroGoals: macroGoalsSchema.optional(),
+  // Setting a goal switches to manual mode; 'auto' goes back to the calculated goal and
+  // 'adaptive' calculates it from the TDEE estimated from logged meals and weigh-ins
+  dailyCalorieGoal: z
+    .number()
+    .int('Calorie goal must be a whole number')
+    .min(800, 'Calorie goal must be at least 800 kcal')
+    .max(10000, 'Calorie goal must be at most 10000 kcal')
+    .optional(),
+  calorieGoalMode: z
+    .enum(CALORIE_GOAL_MODES, {
+      errorMap: () => ({ message: 'Calorie goal mode must be auto, manual or adaptive' }),
+    })
+    .optional(),
+  // An empty list clears the preferences or allergens
+  dietaryPreferences: dietaryPreferencesSchema.optional(),
+  allergens: allergensSchema.optional(),
+}).refine(...hasSinglePace).refine(...hasSingleMacroSource).refine(...hasLifeStageEnd).refine(
+  (data) => !(data.dailyCalorieGoal && data.calorieGoalMode && data.calorieGoalMode !== 'manual'),
+  { message: 'A calorie goal can only be set in manual mode', path: ['calorieGoalMode'] }
+);
+
+const weightEntrySchema = z.object({
+  weight: z
+    .number()
+    .positive('Weight must be positive')
+    .min(20, `Weight must be at least ${inWeightUnits(20)}`)
+    .max(500, `Weight must be less than ${inWeightUnits(500)}`),
+  recordedAt: z
+    .string()
+    .datetime()
+    .refine((value) => new Date(value) <= new Date(), 'Date cannot be in the future')
+    .optional(),
+  note: z.string().max(200, 'Note must be less than 200 characters').optional(),
+});
+
+const updateWeightEntrySchema = weightEntrySchema
+  .partial()
+  .refine((data) => Object.keys(data).length > 0, 'Nothing to update');
+
+// Body measurements in cm (imperial requests are converted from inches first)
+const girthSchema = (name, min, max) => z
+  .number()
+  .min(min, `${name} must be at least ${inLengthUnits(min)}`)
+  .max(max, `${name} must be less than ${inLengthUnits(max)}`);
+
+const waistSchema = girthSchema('Waist', 30, 250);
+const hipSchema = girthSchema('Hip', 40, 250);
+const neckSchema = girthSchema('Neck', 15, 80);
+const chestSchema = girthSchema('Chest', 40, 250);
+
+const measuredAtSchema = z
+  .string()
+  .datetime()
+  .refine((value) => new Date(value) <= new Date(), 'Date cannot be in the future');
+
+const measurementSchema = z
+  .object({
+    waist: waistSchema.optional(),
+    hip: hipSchema.optional(),
+    neck: neckSchema.optional(),
+    chest: chestSchema.optional(),
+    bodyFatPercentage: bodyFatPercentageSchema.optional(),
+    recordedAt: measuredAtSchema.optional(),
+    note: z.string().max(200, 'Note must be less than 200 characters').optional(),
+  })
+  .refine(
+    (data) => ['waist', 'hip', 'neck', 'chest', 'bodyFatPercentage'].some((field) => data[field] !== undefined),
+    'At least one measurement is required'
+  );
+
+const updateMeasurementSchema = z
+  .object({
+    // null clears a single measurement
+    waist: waistSchema.nullable().optional(),
+    hip: hipSchema.nullable().optional(),
+    neck: neckSchema.nullable().optional(),
+    chest: chestSchema.nullable().optional(),
+    bodyFatPercentage: bodyFatPercentageSchema.nullable().optional(),
+    recordedAt: measuredAtSchema.optional(),
+    note: z.string().max(200, 'Note must be less than 200 characters').optional(),
+  })
+  .refine((data) => Object.keys(data).length > 0, 'Nothing to update');
+
+const createApiKeySchema = z.object({
+  name: z.string().trim().min(1, 'Name is required').max(50, 'Name is too long'),
+  scopes: z
+    .array(z.enum(API_KEY_SCOPES, {
+      errorMap: () => ({ message: `Scope must be one of: ${API_KEY_SCOPES.join(', ')}` }),
+    }))
+    .min(1, 'At least one scope is required'),
+  expiresInDays: z.number().int().min(1).max(365).optional(),
 });
 
 // ============================================
@@ -189,6 +561,36 @@ const updateMealSchema = z.object({
     .optional()),
 });
 
+// ============================================
+// Admin Schemas
+// ============================================
+
+const adminUserQuerySchema = z.object({
+  page: z.string().regex(/^\d+$/).transform(Number).optional(),
+  limit: z.string().regex(/^\d+$/).transform(Number).optional(),
+  search: z.string().trim().max(100).optional(),
+  role: z.enum(USER_ROLES).optional(),
+  disabled: z.enum(['true', 'false']).transform((value) => value === 'true').optional(),
+});
+
+const updateUserRoleSchema = z.object({
+  role: z.enum(USER_ROLES, {
+    errorMap: () => ({ message: `Role must be one of: ${USER_ROLES.join(', ')}` }),
+  }),
+});
+
+const usageQuerySchema = z.object({
+  days: z.string().regex(/^\d+$/).transform(Number)
+    .refine((days) => days >= 1 && days <= 365, 'Days must be between 1 and 365')
+    .default('30'),
+});
+
+const broadcastNotificationSchema = z.object({
+  title: z.string().trim().min(1, 'Title is required').max(100),
+  body: z.string().trim().min(1, 'Body is required').max(500),
+  role: z.enum(USER_ROLES).optional(),
+});
+
 // ============================================
 // Query Params Schemas
 // ============================================
@@ -214,10 +616,31 @@ const idParamSchema = z.object({
 module.exports = {
   registerSchema,
   loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  changePasswordSchema,
+  changeEmailSchema,
+  twoFactorCodeSchema,
+  twoFactorFactorSchema,
+  twoFactorLoginSchema,
+  deleteAccountSchema,
+  createApiKeySchema,
+  weightEntrySchema,
+  updateWeightEntrySchema,
+  measurementSchema,
+  updateMeasurementSchema,
+  oauthProviderParamSchema,
+  oauthLoginSchema,
   onboardingSchema,
   updateProfileSchema,
   createMealSchema,
   updateMealSchema,
+  adminUserQuerySchema,
+  updateUserRoleSchema,
+  usageQuerySchema,
+  broadcastNotificationSchema,
   paginationSchema,
   dateRangeSchema,
   idParamSchema,